@@ -161,6 +161,157 @@ async function initDB() {
         event_type   VARCHAR(100) NOT NULL,
         processed_at TIMESTAMP DEFAULT NOW()
       );
+
+      -- ── WhatsApp webhook idempotency (Twilio retries on timeout) ────────
+      CREATE TABLE IF NOT EXISTS processed_whatsapp_messages (
+        message_sid  VARCHAR(64) PRIMARY KEY,
+        from_number  VARCHAR(50),
+        processed_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- ── Long-term memory (see services/memory.js) ────────────────────────
+      CREATE TABLE IF NOT EXISTS memories (
+        id          SERIAL PRIMARY KEY,
+        customer_id INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+        content     TEXT NOT NULL,
+        category    VARCHAR(50),
+        source      VARCHAR(20) DEFAULT 'assistant',  -- assistant/portal
+        created_at  TIMESTAMP DEFAULT NOW(),
+        updated_at  TIMESTAMP DEFAULT NOW()
+      );
+
+      -- ── Conversation threads (see services/threads.js) ──────────────────
+      -- One open thread per customer; closed after inactivity or a reset
+      CREATE TABLE IF NOT EXISTS conversation_threads (
+        id                    SERIAL PRIMARY KEY,
+        customer_id           INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+        title                 VARCHAR(200),
+        summary               TEXT,                -- rolling summary of rows up to summarized_through_id
+        summarized_through_id INTEGER DEFAULT 0,
+        started_at            TIMESTAMP DEFAULT NOW(),
+        last_message_at       TIMESTAMP DEFAULT NOW(),
+        closed_at             TIMESTAMP,
+        close_reason          VARCHAR(20),         -- idle/reset
+        created_at            TIMESTAMP DEFAULT NOW()
+      );
+
+      -- ── Claude API usage, one row per call (see services/llm.js) ─────────
+      CREATE TABLE IF NOT EXISTS llm_usage (
+        id                          SERIAL PRIMARY KEY,
+        customer_id                 INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+        purpose                     VARCHAR(50) NOT NULL,  -- assistant/call_summary/voice_call/...
+        model                       VARCHAR(100) NOT NULL,
+        input_tokens                INTEGER DEFAULT 0,
+        output_tokens               INTEGER DEFAULT 0,
+        cache_creation_input_tokens INTEGER DEFAULT 0,
+        cache_read_input_tokens     INTEGER DEFAULT 0,
+        cost_usd                    NUMERIC(12,6) DEFAULT 0,   -- NULL for models without pricing
+        created_at                  TIMESTAMP DEFAULT NOW()
+      );
+
+      -- ── Outbound media (served signed via /media, see services/media-store.js) ─
+      CREATE TABLE IF NOT EXISTS media_files (
+        id           VARCHAR(64) PRIMARY KEY,
+        customer_id  INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+        filename     VARCHAR(255) NOT NULL,
+        content_type VARCHAR(100) NOT NULL,
+        size_bytes   INTEGER NOT NULL,
+        data         BYTEA NOT NULL,
+        expires_at   TIMESTAMPTZ NOT NULL,
+        created_at   TIMESTAMP DEFAULT NOW()
+      );
+
+      -- ── Reminders (polled by services/reminders.js) ─────────────────────
+      CREATE TABLE IF NOT EXISTS reminders (
+        id              SERIAL PRIMARY KEY,
+        customer_id     INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+        message         TEXT NOT NULL,
+        remind_at       TIMESTAMPTZ NOT NULL,
+        status          VARCHAR(20) DEFAULT 'scheduled',  -- scheduled/sending/sent/failed/cancelled
+        attempts        INTEGER DEFAULT 0,
+        next_attempt_at TIMESTAMPTZ,                      -- set after a failed send (retry backoff)
+        locked_at       TIMESTAMPTZ,                      -- set while a worker is sending
+        last_error      TEXT,
+        sent_at         TIMESTAMPTZ,
+        created_at      TIMESTAMP DEFAULT NOW(),
+        updated_at      TIMESTAMP DEFAULT NOW()
+      );
+
+      -- ── Pending actions awaiting customer approval (services/approvals.js) ─
+      CREATE TABLE IF NOT EXISTS pending_actions (
+        id          SERIAL PRIMARY KEY,
+        customer_id INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+        tool_name   VARCHAR(100) NOT NULL,
+        tool_input  JSONB NOT NULL,
+        summary     TEXT NOT NULL,                    -- shown in the YES/NO prompt
+        status      VARCHAR(20) DEFAULT 'pending',    -- pending/approved/rejected/expired/executed/failed
+        result      JSONB,
+        error       TEXT,
+        expires_at  TIMESTAMPTZ NOT NULL,
+        decided_at  TIMESTAMPTZ,
+        decided_via VARCHAR(20),                      -- whatsapp/portal
+        executed_at TIMESTAMPTZ,
+        created_at  TIMESTAMP DEFAULT NOW(),
+        updated_at  TIMESTAMP DEFAULT NOW()
+      );
+
+      -- ── Background tasks for long-running tools (services/tasks.js) ─────
+      CREATE TABLE IF NOT EXISTS tasks (
+        id           SERIAL PRIMARY KEY,
+        customer_id  INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+        tool_name    VARCHAR(100) NOT NULL,
+        tool_input   JSONB NOT NULL,
+        description  TEXT,                           -- short summary for follow-ups
+        status       VARCHAR(20) DEFAULT 'queued',   -- queued/running/completed/failed/cancelled
+        result       JSONB,
+        error        TEXT,
+        locked_at    TIMESTAMPTZ,                    -- set while a worker runs it
+        started_at   TIMESTAMPTZ,
+        completed_at TIMESTAMPTZ,
+        created_at   TIMESTAMP DEFAULT NOW(),
+        updated_at   TIMESTAMP DEFAULT NOW()
+      );
+
+      -- ── Capabilities turned off per plan (services/capabilities.js) ──────
+      CREATE TABLE IF NOT EXISTS plan_capabilities (
+        plan                  VARCHAR(50) PRIMARY KEY,
+        disabled_capabilities JSONB DEFAULT '[]',
+        updated_at            TIMESTAMP DEFAULT NOW()
+      );
+
+      -- ── Recipient policy (services/recipients.js) ─────────────────────────
+      -- Contacts the customer trusts: E.164 number, email, or @domain
+      CREATE TABLE IF NOT EXISTS trusted_contacts (
+        id          SERIAL PRIMARY KEY,
+        customer_id INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+        recipient   VARCHAR(255) NOT NULL,
+        label       VARCHAR(100),
+        created_at  TIMESTAMP DEFAULT NOW(),
+        UNIQUE (customer_id, recipient)
+      );
+
+      -- Everyone successfully emailed, texted or called — for new-recipient limits
+      CREATE TABLE IF NOT EXISTS outbound_recipients (
+        customer_id        INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+        recipient          VARCHAR(255) NOT NULL,
+        tool_name          VARCHAR(100),              -- first tool used to reach them
+        contact_count      INTEGER DEFAULT 1,
+        first_contacted_at TIMESTAMPTZ DEFAULT NOW(),
+        last_contacted_at  TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (customer_id, recipient)
+      );
+
+      -- Blocked outbound attempts, for admin review
+      CREATE TABLE IF NOT EXISTS abuse_log (
+        id          SERIAL PRIMARY KEY,
+        customer_id INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+        tool_name   VARCHAR(100) NOT NULL,
+        recipient   VARCHAR(255),
+        rule        VARCHAR(50) NOT NULL,   -- emergency/premium_rate/international/allowlist_only/daily_new_recipients
+        source      VARCHAR(20),            -- assistant/tools_api
+        detail      TEXT,
+        created_at  TIMESTAMP DEFAULT NOW()
+      );
     `);
 
     // ── Migrations (safe to re-run) ───────────────────────────────────────
@@ -174,6 +325,17 @@ async function initDB() {
       ALTER TABLE customer_profiles ADD COLUMN IF NOT EXISTS voice_sample_url TEXT;
       ALTER TABLE customer_profiles ADD COLUMN IF NOT EXISTS voice_onboarding_shown BOOLEAN DEFAULT FALSE;
 
+      -- Conversation threads
+      ALTER TABLE conversations ADD COLUMN IF NOT EXISTS thread_id INTEGER REFERENCES conversation_threads(id) ON DELETE CASCADE;
+
+      -- Set while the customer has paused the assistant with /pause
+      ALTER TABLE customers ADD COLUMN IF NOT EXISTS assistant_paused_at TIMESTAMP;
+
+      -- WhatsApp voice replies: off/auto/always, clone/female/male, text alongside or not
+      ALTER TABLE customer_profiles ADD COLUMN IF NOT EXISTS voice_reply_mode VARCHAR(10) DEFAULT 'auto';
+      ALTER TABLE customer_profiles ADD COLUMN IF NOT EXISTS voice_reply_voice VARCHAR(10) DEFAULT 'clone';
+      ALTER TABLE customer_profiles ADD COLUMN IF NOT EXISTS voice_reply_with_text BOOLEAN DEFAULT TRUE;
+
       -- Encrypted fields need TEXT, not VARCHAR(50) — ciphertext is ~90+ chars
       ALTER TABLE customer_profiles ALTER COLUMN date_of_birth TYPE TEXT;
 
@@ -192,6 +354,32 @@ async function initDB() {
       -- Cookie-based auth for connected apps
       ALTER TABLE connected_apps ADD COLUMN IF NOT EXISTS auth_type VARCHAR(20) DEFAULT 'credentials';
       ALTER TABLE connected_apps ADD COLUMN IF NOT EXISTS cookies TEXT;
+
+      -- Recurring reminders: RRULE subset evaluated in the customer's timezone
+      ALTER TABLE reminders ADD COLUMN IF NOT EXISTS rrule TEXT;
+      ALTER TABLE reminders ADD COLUMN IF NOT EXISTS occurrence_count INTEGER DEFAULT 0;
+
+      -- Human-in-the-loop approval: which tools need a YES before running
+      -- (on by default for every high-risk tool — services/approvals.js APPROVABLE_TOOLS)
+      ALTER TABLE customer_profiles ADD COLUMN IF NOT EXISTS approval_required_tools JSONB DEFAULT '["make_phone_call", "send_email", "send_text_message", "openclaw_task"]';
+      ALTER TABLE customer_profiles ADD COLUMN IF NOT EXISTS approval_timeout_minutes INTEGER DEFAULT 30;
+
+      -- Unified task tracking: every action tool records a task, linked to its call/message/reminder
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS task_type VARCHAR(30);          -- call/email/sms/web/reminder
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS call_sid VARCHAR(100);
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS conversation_id VARCHAR(255);   -- ElevenLabs conversation
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS message_sid VARCHAR(100);       -- Twilio SMS
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS email_message_id VARCHAR(255);
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS reminder_id INTEGER REFERENCES reminders(id) ON DELETE SET NULL;
+
+      -- Capability toggles: admin overrides of the plan default, and what the customer has switched off
+      ALTER TABLE customers ADD COLUMN IF NOT EXISTS capability_overrides JSONB DEFAULT '{}';
+      ALTER TABLE customer_profiles ADD COLUMN IF NOT EXISTS disabled_capabilities JSONB DEFAULT '[]';
+
+      -- Recipient policy overrides (defaults in services/recipients.js)
+      ALTER TABLE customer_profiles ADD COLUMN IF NOT EXISTS recipient_policy JSONB DEFAULT '{}';
+      -- New recipients reserved while the tool runs, before the contact is confirmed
+      ALTER TABLE outbound_recipients ADD COLUMN IF NOT EXISTS pending BOOLEAN DEFAULT FALSE;
     `);
 
     // ── Indexes (safe to re-run) ────────────────────────────────────────
@@ -203,6 +391,21 @@ async function initDB() {
       CREATE INDEX IF NOT EXISTS idx_usage_tracking_customer_month ON usage_tracking(customer_id, month);
       CREATE INDEX IF NOT EXISTS idx_call_memory_business_phone ON call_memory(business_phone);
       CREATE INDEX IF NOT EXISTS idx_call_memory_customer_id ON call_memory(customer_id);
+      CREATE INDEX IF NOT EXISTS idx_reminders_customer_id ON reminders(customer_id);
+      CREATE INDEX IF NOT EXISTS idx_reminders_due ON reminders(status, remind_at);
+      CREATE INDEX IF NOT EXISTS idx_pending_actions_customer_status ON pending_actions(customer_id, status);
+      CREATE INDEX IF NOT EXISTS idx_tasks_customer_id ON tasks(customer_id);
+      CREATE INDEX IF NOT EXISTS idx_tasks_queue ON tasks(status, created_at);
+      CREATE INDEX IF NOT EXISTS idx_tasks_conversation_id ON tasks(conversation_id);
+      CREATE INDEX IF NOT EXISTS idx_processed_whatsapp_messages_at ON processed_whatsapp_messages(processed_at);
+      CREATE INDEX IF NOT EXISTS idx_media_files_expires_at ON media_files(expires_at);
+      CREATE INDEX IF NOT EXISTS idx_memories_customer_id ON memories(customer_id);
+      CREATE INDEX IF NOT EXISTS idx_conversations_thread_id ON conversations(thread_id);
+      CREATE INDEX IF NOT EXISTS idx_conversation_threads_customer ON conversation_threads(customer_id, last_message_at);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_conversation_threads_one_open ON conversation_threads(customer_id) WHERE closed_at IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_llm_usage_customer_created ON llm_usage(customer_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_outbound_recipients_first ON outbound_recipients(customer_id, first_contacted_at);
+      CREATE INDEX IF NOT EXISTS idx_abuse_log_customer_created ON abuse_log(customer_id, created_at);
     `);
 
     console.log('✅ Database ready');
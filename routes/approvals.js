@@ -0,0 +1,87 @@
+/**
+ * Approvals — pending high-risk actions and the customer's approval policy.
+ *
+ * Mounted at /api/customer/approvals (behind customerAuth middleware).
+ *
+ * Customers pick which tools need their OK (calls, emails, texts, web tasks).
+ * Actions waiting on them can be approved or rejected here as well as by
+ * replying YES/NO on WhatsApp — see services/approvals.js.
+ */
+
+const router = require('express').Router();
+const {
+  APPROVABLE_TOOLS, getApprovalSettings, validateApprovalSettings, updateApprovalSettings,
+  listPendingActions, approveAction, rejectAction, describeOutcome,
+} = require('../services/approvals');
+
+// ── GET /api/customer/approvals/settings — tools that need approval ─────────
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await getApprovalSettings(req.customerId);
+    res.json({ tools: settings.tools, timeout_minutes: settings.timeoutMinutes, available_tools: APPROVABLE_TOOLS });
+  } catch {
+    res.status(500).json({ error: 'Failed to fetch approval settings' });
+  }
+});
+
+// ── PUT /api/customer/approvals/settings — { tools?: [...], timeout_minutes? } ─
+router.put('/settings', async (req, res) => {
+  const { tools, timeout_minutes } = req.body;
+  const error = validateApprovalSettings({ tools, timeoutMinutes: timeout_minutes });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const settings = await updateApprovalSettings(req.customerId, { tools, timeoutMinutes: timeout_minutes });
+    res.json({ tools: settings.tools, timeout_minutes: settings.timeoutMinutes, available_tools: APPROVABLE_TOOLS });
+  } catch (err) {
+    console.error('Approval settings error:', err.message);
+    res.status(500).json({ error: 'Failed to update approval settings' });
+  }
+});
+
+// ── GET /api/customer/approvals — pending actions (?status=pending|executed|...) ─
+router.get('/', async (req, res) => {
+  try {
+    const actions = await listPendingActions(req.customerId, {
+      status: req.query.status || null,
+      limit: Math.min(100, Math.max(1, parseInt(req.query.limit) || 50)),
+    });
+    res.json({ actions });
+  } catch (err) {
+    console.error('List pending actions error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch pending actions' });
+  }
+});
+
+// ── POST /api/customer/approvals/:id/approve — approve and run ──────────────
+router.post('/:id/approve', async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Action not found' });
+
+  try {
+    const outcome = await approveAction(req.customerId, id, 'portal');
+    if (!outcome) return res.status(409).json({ error: 'Action is no longer pending (already decided or expired)' });
+    if (outcome.error) return res.status(502).json({ error: outcome.error, action_id: id, status: 'failed' });
+    res.json({ action_id: id, status: 'executed', message: describeOutcome(outcome.action), result: outcome.result });
+  } catch (err) {
+    console.error('Approve action error:', err.message);
+    res.status(500).json({ error: 'Failed to approve action' });
+  }
+});
+
+// ── POST /api/customer/approvals/:id/reject ─────────────────────────────────
+router.post('/:id/reject', async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Action not found' });
+
+  try {
+    const action = await rejectAction(req.customerId, id, 'portal');
+    if (!action) return res.status(409).json({ error: 'Action is no longer pending (already decided or expired)' });
+    res.json({ action_id: id, status: 'rejected' });
+  } catch (err) {
+    console.error('Reject action error:', err.message);
+    res.status(500).json({ error: 'Failed to reject action' });
+  }
+});
+
+module.exports = router;
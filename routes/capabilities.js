@@ -0,0 +1,40 @@
+/**
+ * Capabilities — what the customer's assistant is allowed to do.
+ *
+ * Mounted at /api/customer/capabilities (behind customerAuth middleware).
+ *
+ * Customers can switch off whole groups of tools (e.g. phone calls or web
+ * browsing) and back on again, within what their plan and admin allow —
+ * see services/capabilities.js.
+ */
+
+const router = require('express').Router();
+const { getCapabilities, validateDisabled, setCustomerDisabled } = require('../services/capabilities');
+
+// ── GET /api/customer/capabilities ──────────────────────────────────────────
+router.get('/', async (req, res) => {
+  try {
+    const { capabilities } = await getCapabilities(req.customerId);
+    res.json({ capabilities });
+  } catch (err) {
+    console.error('Get capabilities error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch capabilities' });
+  }
+});
+
+// ── PUT /api/customer/capabilities — { disabled: ['calls', ...] } ───────────
+router.put('/', async (req, res) => {
+  const { disabled } = req.body;
+  const error = validateDisabled(disabled);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const { capabilities } = await setCustomerDisabled(req.customerId, disabled);
+    res.json({ capabilities });
+  } catch (err) {
+    console.error('Update capabilities error:', err.message);
+    res.status(500).json({ error: 'Failed to update capabilities' });
+  }
+});
+
+module.exports = router;
@@ -186,6 +186,24 @@ router.use('/apps', require('./connected-apps'));
 // Voice cloning sub-router (needs customerAuth)
 router.use('/voice', require('./voice-clone'));
 
+// Approval policy + pending actions sub-router (needs customerAuth)
+router.use('/approvals', require('./approvals'));
+
+// Capability toggles sub-router (needs customerAuth)
+router.use('/capabilities', require('./capabilities'));
+
+// Trusted contacts + recipient policy sub-router (needs customerAuth)
+router.use('/recipients', require('./recipients'));
+
+// Task tracking sub-router (needs customerAuth)
+router.use('/tasks', require('./tasks'));
+
+// Long-term memories sub-router (needs customerAuth)
+router.use('/memories', require('./memories'));
+
+// Conversation threads sub-router (needs customerAuth)
+router.use('/threads', require('./threads'));
+
 // GET /api/customer/me — safe fields only
 router.get('/me', async (req, res) => {
   try {
@@ -369,6 +387,144 @@ router.get('/activity', async (req, res) => {
   }
 });
 
+// ── Reminders ─────────────────────────────────────────────────────────────────
+
+/**
+ * Parse reminder fields from a request body. Times without an offset are
+ * read in the customer's timezone; `recurrence: null` or "" clears it.
+ * A recurrence is checked against remind_at, or `currentRemindAt` when
+ * editing a reminder without moving it. Returns { changes } or { error }.
+ */
+function parseReminderBody(body, tz, currentRemindAt = null) {
+  const { parseLocalDateTime } = require('../services/recurrence');
+  const { normalizeRecurrence } = require('../services/reminders');
+  const changes = {};
+
+  if (body.message !== undefined) {
+    if (typeof body.message !== 'string' || !body.message.trim()) return { error: 'message must be a non-empty string' };
+    changes.message = body.message.trim();
+  }
+  if (body.remind_at !== undefined) {
+    changes.remindAt = parseLocalDateTime(body.remind_at, tz);
+    if (!changes.remindAt) return { error: 'Invalid remind_at' };
+  }
+  if (body.recurrence !== undefined) {
+    try {
+      changes.rrule = body.recurrence || '';
+      normalizeRecurrence(changes.rrule, tz, changes.remindAt || currentRemindAt);
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+  return { changes };
+}
+
+// GET /api/customer/reminders — upcoming reminders (?include_past=true for all)
+router.get('/reminders', async (req, res) => {
+  try {
+    const { listReminders, getCustomerTimezone, describeReminder } = require('../services/reminders');
+    const tz = await getCustomerTimezone(req.customerId);
+    const reminders = await listReminders(req.customerId, {
+      includePast: req.query.include_past === 'true',
+      limit: Math.min(200, Math.max(1, parseInt(req.query.limit) || 50)),
+    });
+    res.json({
+      timezone: tz,
+      reminders: reminders.map(r => ({ ...r, ...describeReminder(r, tz) })),
+    });
+  } catch (err) {
+    console.error('List reminders error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch reminders' });
+  }
+});
+
+// POST /api/customer/reminders — { message, remind_at, recurrence? }
+router.post('/reminders', async (req, res) => {
+  try {
+    const { createReminder, getCustomerTimezone, describeReminder } = require('../services/reminders');
+    const tz = await getCustomerTimezone(req.customerId);
+    const { changes, error } = parseReminderBody(req.body, tz);
+    if (error) return res.status(400).json({ error });
+    if (!changes.message || !changes.remindAt) return res.status(400).json({ error: 'message and remind_at are required' });
+
+    const reminder = await createReminder(req.customerId, {
+      message: changes.message,
+      remindAt: changes.remindAt,
+      rrule: changes.rrule || null,
+    });
+    res.status(201).json({ ...reminder, ...describeReminder(reminder, tz) });
+  } catch (err) {
+    console.error('Create reminder error:', err.message);
+    res.status(500).json({ error: 'Failed to create reminder' });
+  }
+});
+
+// PATCH /api/customer/reminders/:id — { message?, remind_at?, recurrence? }
+router.patch('/reminders/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Reminder not found' });
+
+  try {
+    const { updateReminder, getReminder, getCustomerTimezone, describeReminder } = require('../services/reminders');
+    const tz = await getCustomerTimezone(req.customerId);
+    const current = await getReminder(req.customerId, id);
+    if (!current) return res.status(404).json({ error: 'Reminder not found' });
+    const { changes, error } = parseReminderBody(req.body, tz, current.remind_at);
+    if (error) return res.status(400).json({ error });
+
+    const reminder = await updateReminder(req.customerId, id, changes);
+    if (!reminder) return res.status(404).json({ error: 'Reminder not found or no longer upcoming' });
+    res.json({ ...reminder, ...describeReminder(reminder, tz) });
+  } catch (err) {
+    console.error('Update reminder error:', err.message);
+    res.status(500).json({ error: 'Failed to update reminder' });
+  }
+});
+
+// POST /api/customer/reminders/:id/snooze — { minutes? } or { until }
+router.post('/reminders/:id/snooze', async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Reminder not found' });
+
+  try {
+    const { snoozeReminder, getCustomerTimezone, describeReminder } = require('../services/reminders');
+    const { parseLocalDateTime } = require('../services/recurrence');
+    const tz = await getCustomerTimezone(req.customerId);
+
+    let remindAt;
+    if (req.body.until) {
+      remindAt = parseLocalDateTime(req.body.until, tz);
+      if (!remindAt) return res.status(400).json({ error: 'Invalid until' });
+    } else {
+      const minutes = Math.max(1, parseInt(req.body.minutes) || 10);
+      remindAt = new Date(Date.now() + minutes * 60 * 1000);
+    }
+
+    const reminder = await snoozeReminder(req.customerId, id, remindAt);
+    if (!reminder) return res.status(404).json({ error: 'Reminder not found or cannot be snoozed' });
+    res.json({ ...reminder, ...describeReminder(reminder, tz) });
+  } catch (err) {
+    console.error('Snooze reminder error:', err.message);
+    res.status(500).json({ error: 'Failed to snooze reminder' });
+  }
+});
+
+// DELETE /api/customer/reminders/:id — cancel (whole series for recurring)
+router.delete('/reminders/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Reminder not found' });
+
+  try {
+    const { cancelReminder } = require('../services/reminders');
+    const reminder = await cancelReminder(req.customerId, id);
+    if (!reminder) return res.status(404).json({ error: 'Reminder not found or no longer upcoming' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Cancel reminder error:', err.message);
+    res.status(500).json({ error: 'Failed to cancel reminder' });
+  }
+});
+
 // ── Google Calendar management ────────────────────────────────────────────────
 
 router.get('/calendar/auth-url', async (req, res) => {
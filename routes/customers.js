@@ -26,6 +26,56 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/customers/llm-usage — Claude cost per customer (?days=30)
+router.get('/llm-usage', async (req, res) => {
+  const days = Math.min(365, Math.max(1, parseInt(req.query.days) || 30));
+  try {
+    const { getLlmUsageByCustomer } = require('../services/llm');
+    res.json({ days, customers: await getLlmUsageByCustomer(req.adminId, { days }) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to fetch LLM usage' });
+  }
+});
+
+// GET /api/customers/abuse-log — blocked outbound attempts across customers (?days=30&limit=100)
+router.get('/abuse-log', async (req, res) => {
+  const days = Math.min(365, Math.max(1, parseInt(req.query.days) || 30));
+  const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 100));
+  try {
+    const { getAbuseLogByAdmin } = require('../services/recipients');
+    res.json({ days, events: await getAbuseLogByAdmin(req.adminId, { days, limit }) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to fetch abuse log' });
+  }
+});
+
+// GET /api/customers/plans/:plan/capabilities — capabilities on by default for a plan
+router.get('/plans/:plan/capabilities', async (req, res) => {
+  try {
+    const { getPlanCapabilities } = require('../services/capabilities');
+    res.json({ plan: req.params.plan, capabilities: await getPlanCapabilities(req.params.plan) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to fetch plan capabilities' });
+  }
+});
+
+// PUT /api/customers/plans/:plan/capabilities — { disabled: ['calls', ...] }
+router.put('/plans/:plan/capabilities', async (req, res) => {
+  const { validateDisabled, setPlanDisabled } = require('../services/capabilities');
+  const error = validateDisabled(req.body.disabled);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    res.json({ plan: req.params.plan, capabilities: await setPlanDisabled(req.params.plan, req.body.disabled) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to update plan capabilities' });
+  }
+});
+
 // GET /api/customers/:id
 router.get('/:id', async (req, res) => {
   try {
@@ -73,6 +123,122 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/customers/:id/llm-usage — tokens and cost by purpose and day (?days=30)
+router.get('/:id/llm-usage', async (req, res) => {
+  const days = Math.min(365, Math.max(1, parseInt(req.query.days) || 30));
+  try {
+    const result = await pool.query(
+      'SELECT id FROM customers WHERE id=$1 AND admin_id=$2',
+      [req.params.id, req.adminId]
+    );
+    if (!result.rows.length) return res.status(404).json({ error: 'Not found' });
+
+    const { getLlmUsage } = require('../services/llm');
+    res.json(await getLlmUsage(parseInt(req.params.id), { days }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to fetch LLM usage' });
+  }
+});
+
+// GET /api/customers/:id/capabilities — plan default, override and customer switch per capability
+router.get('/:id/capabilities', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id FROM customers WHERE id=$1 AND admin_id=$2',
+      [req.params.id, req.adminId]
+    );
+    if (!result.rows.length) return res.status(404).json({ error: 'Not found' });
+
+    const { getCapabilities } = require('../services/capabilities');
+    res.json(await getCapabilities(parseInt(req.params.id)));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to fetch capabilities' });
+  }
+});
+
+// PATCH /api/customers/:id/capabilities — { overrides: { calls: false, browsing: null } }
+// true/false overrides the plan default for this customer; null clears the override
+router.patch('/:id/capabilities', async (req, res) => {
+  const { validateOverrides, setCustomerOverrides } = require('../services/capabilities');
+  const error = validateOverrides(req.body.overrides);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const result = await pool.query(
+      'SELECT id FROM customers WHERE id=$1 AND admin_id=$2',
+      [req.params.id, req.adminId]
+    );
+    if (!result.rows.length) return res.status(404).json({ error: 'Not found' });
+
+    res.json(await setCustomerOverrides(parseInt(req.params.id), req.body.overrides));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to update capabilities' });
+  }
+});
+
+// GET /api/customers/:id/recipient-policy — policy, trusted contacts and recent blocks
+router.get('/:id/recipient-policy', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id FROM customers WHERE id=$1 AND admin_id=$2',
+      [req.params.id, req.adminId]
+    );
+    if (!result.rows.length) return res.status(404).json({ error: 'Not found' });
+
+    const { getRecipientPolicy, listTrustedContacts, getAbuseLog } = require('../services/recipients');
+    const cid = parseInt(req.params.id);
+    const [policy, contacts, abuse] = await Promise.all([
+      getRecipientPolicy(cid), listTrustedContacts(cid), getAbuseLog(cid, { days: 30, limit: 100 }),
+    ]);
+    res.json({ policy, contacts, abuse_log: abuse });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to fetch recipient policy' });
+  }
+});
+
+// PATCH /api/customers/:id/recipient-policy — any policy field; null resets it to the default
+router.patch('/:id/recipient-policy', async (req, res) => {
+  const { validatePolicyUpdate, updateRecipientPolicy } = require('../services/recipients');
+  const error = validatePolicyUpdate(req.body, { admin: true });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const result = await pool.query(
+      'SELECT id FROM customers WHERE id=$1 AND admin_id=$2',
+      [req.params.id, req.adminId]
+    );
+    if (!result.rows.length) return res.status(404).json({ error: 'Not found' });
+
+    res.json({ policy: await updateRecipientPolicy(parseInt(req.params.id), req.body, { admin: true }) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to update recipient policy' });
+  }
+});
+
+// GET /api/customers/:id/abuse-log — blocked outbound attempts (?days=30&limit=100)
+router.get('/:id/abuse-log', async (req, res) => {
+  const days = Math.min(365, Math.max(1, parseInt(req.query.days) || 30));
+  const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 100));
+  try {
+    const result = await pool.query(
+      'SELECT id FROM customers WHERE id=$1 AND admin_id=$2',
+      [req.params.id, req.adminId]
+    );
+    if (!result.rows.length) return res.status(404).json({ error: 'Not found' });
+
+    const { getAbuseLog } = require('../services/recipients');
+    res.json({ days, events: await getAbuseLog(parseInt(req.params.id), { days, limit }) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to fetch abuse log' });
+  }
+});
+
 // POST /api/customers — create + auto-provision OpenClaw
 router.post('/', async (req, res) => {
   const { name, email, whatsapp_from, plan } = req.body;
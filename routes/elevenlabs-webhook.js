@@ -6,11 +6,10 @@
  */
 
 const router = require('express').Router();
-const Anthropic = require('@anthropic-ai/sdk');
 const { pool } = require('../db');
 const { pendingCalls } = require('../services/twilio-voice');
-
-const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+const { createMessage } = require('../services/llm');
+const { customerTaskModel } = require('../services/models');
 
 router.post('/', async (req, res) => {
   // Always respond 200 immediately (ElevenLabs requires it)
@@ -27,13 +26,28 @@ router.post('/', async (req, res) => {
     const { conversation_id, transcript, status } = data;
     console.log(`[ELEVENLABS-WEBHOOK] Received transcript for conversation ${conversation_id}, status: ${status}`);
 
+    const { findCallTask, finishCallTask } = require('../services/tasks');
+
     if (!transcript || !transcript.length) {
       console.log('[ELEVENLABS-WEBHOOK] Empty transcript, skipping');
+      await finishCallTask(conversation_id, { error: 'Call ended without a conversation (not answered?)' });
       return;
     }
 
-    // Look up the pending call to find the customer
-    const callInfo = pendingCalls.get(conversation_id);
+    // Look up the pending call to find the customer — falling back to the
+    // call's task row if the in-memory map was lost (e.g. restart mid-call)
+    let callInfo = pendingCalls.get(conversation_id);
+    if (!callInfo) {
+      const task = await findCallTask(conversation_id);
+      if (task) {
+        callInfo = {
+          customerId: task.customer_id,
+          customerWhatsappFrom: task.whatsapp_from,
+          purpose: task.tool_input.purpose || task.tool_input.message,
+          to: task.tool_input.to,
+        };
+      }
+    }
     if (!callInfo) {
       console.warn(`[ELEVENLABS-WEBHOOK] No pending call found for conversation ${conversation_id}`);
       return;
@@ -55,17 +69,18 @@ router.post('/', async (req, res) => {
       .join('\n');
 
     // Summarize with Claude
-    const summaryResponse = await anthropic.messages.create({
-      model: 'claude-haiku-4-5-20251001',
+    const summaryResponse = await createMessage({
+      model: await customerTaskModel(customerId, 'call_summary'),
       max_tokens: 300,
       system: 'Summarize this phone call as a brief update to the customer who asked for this call. Include: what was accomplished, any confirmations (reservation time, appointment date, confirmation number), what the customer needs to know, and any follow-up needed. Be friendly and concise. Start with a checkmark if successful or an X if unsuccessful. Example: "Done! Reservation confirmed — table for 4 at Olive Garden, Saturday 7:30pm. They said to ask for the booth section when you arrive." Do not use markdown.',
       messages: [{
         role: 'user',
         content: `Phone call to ${to}\nPurpose: ${purpose}\n\nTranscript:\n${transcriptText}`,
       }],
-    });
+    }, { customerId, purpose: 'call_summary' });
 
     const summary = summaryResponse.content[0]?.text || 'Call completed but could not generate summary.';
+    await finishCallTask(conversation_id, { summary });
 
     // Send WhatsApp message to customer
     const twilioClient = require('twilio')(
@@ -0,0 +1,36 @@
+/**
+ * Media — serves files sent to customers as WhatsApp attachments.
+ *
+ * Mounted at /media (public — Twilio fetches these when delivering a
+ * message). Every link is signed and expires; see services/media-store.js.
+ */
+
+const router = require('express').Router();
+const { getMedia, verifyMediaSignature } = require('../services/media-store');
+
+// ── GET /media/:id?exp=...&sig=... ──────────────────────────────────────────
+router.get('/:id', async (req, res) => {
+  const { id } = req.params;
+  if (!verifyMediaSignature(id, req.query.exp, req.query.sig)) {
+    return res.status(403).json({ error: 'Invalid or expired link' });
+  }
+
+  try {
+    const file = await getMedia(id);
+    if (!file) return res.status(404).json({ error: 'File not found' });
+
+    res.set({
+      'Content-Type': file.content_type,
+      'Content-Disposition': `inline; filename="${file.filename.replace(/["\\\r\n]/g, '')}"`,
+      'Cache-Control': 'private, max-age=3600',
+      // Let Twilio / WhatsApp clients fetch cross-origin (helmet defaults to same-origin)
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+    });
+    res.send(file.data);
+  } catch (err) {
+    console.error('Media fetch error:', err.message);
+    res.status(500).json({ error: 'Failed to load file' });
+  }
+});
+
+module.exports = router;
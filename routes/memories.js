@@ -0,0 +1,59 @@
+/**
+ * Memories — durable facts the assistant remembers about the customer.
+ *
+ * Mounted at /api/customer/memories (behind customerAuth middleware).
+ *
+ * The assistant adds and removes these itself (remember / forget tools);
+ * the portal lets the customer review, add and delete them.
+ */
+
+const router = require('express').Router();
+const { addMemory, listMemories, deleteMemory } = require('../services/memory');
+
+// ── GET /api/customer/memories — ?q= to search ──────────────────────────────
+router.get('/', async (req, res) => {
+  try {
+    const memories = await listMemories(req.customerId, {
+      query: req.query.q || null,
+      limit: Math.min(200, Math.max(1, parseInt(req.query.limit) || 100)),
+    });
+    res.json({ memories });
+  } catch (err) {
+    console.error('List memories error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch memories' });
+  }
+});
+
+// ── POST /api/customer/memories — { content, category? } ────────────────────
+router.post('/', async (req, res) => {
+  const { content, category } = req.body;
+  if (!content || typeof content !== 'string' || !content.trim()) {
+    return res.status(400).json({ error: 'content is required' });
+  }
+  if (content.length > 500) return res.status(400).json({ error: 'content must be 500 characters or fewer' });
+
+  try {
+    const memory = await addMemory(req.customerId, content, { category: category || null, source: 'portal' });
+    res.status(201).json({ memory });
+  } catch (err) {
+    console.error('Add memory error:', err.message);
+    res.status(500).json({ error: 'Failed to save memory' });
+  }
+});
+
+// ── DELETE /api/customer/memories/:id ───────────────────────────────────────
+router.delete('/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Memory not found' });
+
+  try {
+    const memory = await deleteMemory(req.customerId, id);
+    if (!memory) return res.status(404).json({ error: 'Memory not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete memory error:', err.message);
+    res.status(500).json({ error: 'Failed to delete memory' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+/**
+ * Recipients — trusted contacts and the customer's recipient policy.
+ *
+ * Mounted at /api/customer/recipients (behind customerAuth middleware).
+ *
+ * Trusted contacts can always be emailed, texted or called (emergency and
+ * premium-rate numbers excepted) and don't count towards the daily limit on
+ * new recipients. Customers can also restrict the assistant to trusted
+ * contacts only; the other policy settings are admin-only — see
+ * services/recipients.js.
+ */
+
+const router = require('express').Router();
+const {
+  getRecipientPolicy, validatePolicyUpdate, updateRecipientPolicy,
+  validateTrustedContact, listTrustedContacts, addTrustedContact, deleteTrustedContact,
+} = require('../services/recipients');
+
+// ── GET /api/customer/recipients/policy ─────────────────────────────────────
+router.get('/policy', async (req, res) => {
+  try {
+    res.json({ policy: await getRecipientPolicy(req.customerId) });
+  } catch (err) {
+    console.error('Get recipient policy error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch recipient policy' });
+  }
+});
+
+// ── PUT /api/customer/recipients/policy — { allowlist_only } ────────────────
+router.put('/policy', async (req, res) => {
+  const error = validatePolicyUpdate(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    res.json({ policy: await updateRecipientPolicy(req.customerId, req.body) });
+  } catch (err) {
+    console.error('Update recipient policy error:', err.message);
+    res.status(500).json({ error: 'Failed to update recipient policy' });
+  }
+});
+
+// ── GET /api/customer/recipients/contacts ───────────────────────────────────
+router.get('/contacts', async (req, res) => {
+  try {
+    res.json({ contacts: await listTrustedContacts(req.customerId) });
+  } catch (err) {
+    console.error('List trusted contacts error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch trusted contacts' });
+  }
+});
+
+// ── POST /api/customer/recipients/contacts — { recipient, label? } ──────────
+router.post('/contacts', async (req, res) => {
+  const { recipient, label } = req.body;
+  const error = validateTrustedContact(recipient);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    res.status(201).json({ contact: await addTrustedContact(req.customerId, recipient, label) });
+  } catch (err) {
+    console.error('Add trusted contact error:', err.message);
+    res.status(500).json({ error: 'Failed to save trusted contact' });
+  }
+});
+
+// ── DELETE /api/customer/recipients/contacts/:id ────────────────────────────
+router.delete('/contacts/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Contact not found' });
+
+  try {
+    const contact = await deleteTrustedContact(req.customerId, id);
+    if (!contact) return res.status(404).json({ error: 'Contact not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete trusted contact error:', err.message);
+    res.status(500).json({ error: 'Failed to delete trusted contact' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+/**
+ * Tasks — what the assistant has done (or is doing) for the customer.
+ *
+ * Mounted at /api/customer/tasks (behind customerAuth middleware).
+ *
+ * One row per call, email, text, web task and reminder the assistant
+ * started, with its current status and outcome — see services/tasks.js.
+ */
+
+const router = require('express').Router();
+const { TASK_TYPES, getTask, listTasks, countTasks, refreshCallTask } = require('../services/tasks');
+
+const TYPES = [...new Set(Object.values(TASK_TYPES))];
+const STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+// ── GET /api/customer/tasks — paginated (?type=call&status=running&page=1) ──
+router.get('/', async (req, res) => {
+  const { type, status } = req.query;
+  if (type && !TYPES.includes(type)) return res.status(400).json({ error: `type must be one of: ${TYPES.join(', ')}` });
+  if (status && !STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+  const offset = (page - 1) * limit;
+
+  try {
+    const [tasks, total] = await Promise.all([
+      listTasks(req.customerId, { type, status, limit, offset }),
+      countTasks(req.customerId, { type, status }),
+    ]);
+    res.json({ tasks, total, page, limit });
+  } catch (err) {
+    console.error('List tasks error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch tasks' });
+  }
+});
+
+// ── GET /api/customer/tasks/:id — one task (live status for running calls) ──
+router.get('/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Task not found' });
+
+  try {
+    const task = await getTask(req.customerId, id);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    const liveCallStatus = await refreshCallTask(task);
+    res.json({ ...task, ...(liveCallStatus && { live_call_status: liveCallStatus }) });
+  } catch (err) {
+    console.error('Get task error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch task' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+/**
+ * Conversation threads — the customer's past WhatsApp conversations.
+ *
+ * Mounted at /api/customer/threads (behind customerAuth middleware).
+ *
+ * Conversations are split into threads after a period of inactivity or on
+ * an explicit reset — see services/threads.js.
+ */
+
+const router = require('express').Router();
+const { listThreads, countThreads, getThread, getThreadMessages, startNewThread } = require('../services/threads');
+
+// ── GET /api/customer/threads — paginated (?page=1&limit=20) ────────────────
+router.get('/', async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+  const offset = (page - 1) * limit;
+
+  try {
+    const [threads, total] = await Promise.all([
+      listThreads(req.customerId, { limit, offset }),
+      countThreads(req.customerId),
+    ]);
+    res.json({ threads, total, page, limit });
+  } catch (err) {
+    console.error('List threads error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+// ── POST /api/customer/threads — start a fresh conversation ─────────────────
+router.post('/', async (req, res) => {
+  try {
+    const thread = await startNewThread(req.customerId, 'reset');
+    res.status(201).json({ thread: { id: thread.id, started_at: thread.started_at } });
+  } catch (err) {
+    console.error('Start thread error:', err.message);
+    res.status(500).json({ error: 'Failed to start a new conversation' });
+  }
+});
+
+// ── GET /api/customer/threads/:id — messages (?before=<message id> for older) ─
+router.get('/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!id) return res.status(404).json({ error: 'Conversation not found' });
+
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 100));
+  const before = parseInt(req.query.before) || null;
+
+  try {
+    const thread = await getThread(req.customerId, id);
+    if (!thread) return res.status(404).json({ error: 'Conversation not found' });
+    const messages = await getThreadMessages(id, { limit, before });
+    res.json({ ...thread, messages, has_more: messages.length === limit });
+  } catch (err) {
+    console.error('Get thread error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+});
+
+module.exports = router;
@@ -4,11 +4,17 @@
  * Auth: Bearer token = short-lived HMAC of customer ID + timestamp.
  * Each endpoint scoped to /api/tools/:customerId/*
  *
+ * Endpoints are generated from the tool registry (services/tools/): every
+ * tool with an `http` route gets it here, with the tool's own rate limit,
+ * schema validation and handler — the same code the assistant runs.
+ *
  * Security:
  *  - Per-customer rate limiting (separate from global)
  *  - Auth token verified via HMAC (not stored in system prompt)
  *  - Input validation on all endpoints
- *  - Call SIDs scoped to authenticated customer
+ *  - Tools in a capability the customer has turned off return 403
+ *  - Recipients blocked by the recipient policy return 403 (and are logged)
+ *  - Call SIDs scoped to authenticated customer (via its tasks)
  */
 
 const router = require('express').Router({ mergeParams: true });
@@ -16,45 +22,23 @@ const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
 const { pool } = require('../db');
 const { decrypt } = require('../services/encryption');
+const { httpTools, normalizeInput, validateToolInput, executeTool } = require('../services/tools');
 
-// ── Activity logging (fire-and-forget) ──────────────────────────────────────
-
-function logActivity(customerId, eventType, description, metadata) {
-  pool.query(
-    'INSERT INTO activity_log (customer_id, event_type, description, metadata) VALUES ($1, $2, $3, $4)',
-    [customerId, eventType, description, metadata ? JSON.stringify(metadata) : null]
-  ).catch(err => console.error('Activity log error:', err.message));
-}
+// ── Per-customer rate limits (one limiter per registry bucket) ──────────────
 
-// ── Per-customer rate limits ────────────────────────────────────────────────
-
-const emailLimit = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 20,
-  keyGenerator: (req) => `email:${req.customerId}`,
-  message: { error: 'Email rate limit exceeded. Max 20 per 15 minutes.' },
-});
-
-const callLimit = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 10,
-  keyGenerator: (req) => `call:${req.customerId}`,
-  message: { error: 'Call rate limit exceeded. Max 10 per 15 minutes.' },
-});
-
-const searchLimit = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 60,
-  keyGenerator: (req) => `search:${req.customerId}`,
-  message: { error: 'Search rate limit exceeded. Max 60 per 15 minutes.' },
-});
+const limiters = new Map();
 
-const calendarLimit = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 30,
-  keyGenerator: (req) => `calendar:${req.customerId}`,
-  message: { error: 'Calendar rate limit exceeded. Max 30 per 15 minutes.' },
-});
+function limiterFor({ bucket, max, windowMs }) {
+  if (!limiters.has(bucket)) {
+    limiters.set(bucket, rateLimit({
+      windowMs,
+      max,
+      keyGenerator: (req) => `${bucket}:${req.customerId}`,
+      message: { error: `Rate limit exceeded for ${bucket}. Max ${max} per ${Math.round(windowMs / 60000)} minutes.` },
+    }));
+  }
+  return limiters.get(bucket);
+}
 
 // ── Auth middleware — verify HMAC-based tools token ─────────────────────────
 
@@ -135,58 +119,15 @@ async function toolAuth(req, res, next) {
 
 router.use('/:customerId', toolAuth);
 
-// ── Email ──────────────────────────────────────────────────────────────────
-
-router.post('/:customerId/email', emailLimit, async (req, res) => {
-  const { to, subject, body, cc, bcc } = req.body;
-  if (!to || !subject || !body) {
-    return res.status(400).json({ error: 'Missing required fields: to, subject, body' });
-  }
-  // Basic email format validation
-  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to)) {
-    return res.status(400).json({ error: 'Invalid email address format' });
-  }
-  try {
-    const { sendEmail } = require('../services/email');
-    const result = await sendEmail(req.customerId, { to, subject, body, cc, bcc });
-    logActivity(req.customerId, 'email_sent', `Email sent to ${to}: "${subject}"`);
-    res.json({ success: true, ...result });
-  } catch (err) {
-    console.error(`Email tool error (customer ${req.customerId}):`, err.message);
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// ── Phone calls ────────────────────────────────────────────────────────────
-
-// Track call SIDs per customer for scoping
-const customerCallSids = new Map(); // customerId → Set<callSid>
-
-router.post('/:customerId/call', callLimit, async (req, res) => {
-  const { to, message } = req.body;
-  if (!to || !message) {
-    return res.status(400).json({ error: 'Missing required fields: to, message' });
-  }
-  try {
-    const { makeCall } = require('../services/twilio-voice');
-    const result = await makeCall({ to, message, customerId: req.customerId, purpose: req.body.purpose });
-
-    // Track this call SID for this customer
-    if (!customerCallSids.has(req.customerId)) customerCallSids.set(req.customerId, new Set());
-    customerCallSids.get(req.customerId).add(result.callSid);
-
-    logActivity(req.customerId, 'phone_call', `Call placed to ${to}`);
-    res.json({ success: true, ...result });
-  } catch (err) {
-    console.error(`Call tool error (customer ${req.customerId}):`, err.message);
-    res.status(500).json({ error: err.message });
-  }
-});
+// ── Call status ────────────────────────────────────────────────────────────
 
 router.get('/:customerId/call/:callSid', async (req, res) => {
-  // Scope: only allow looking up call SIDs that this customer initiated
-  const sids = customerCallSids.get(req.customerId);
-  if (!sids || !sids.has(req.params.callSid)) {
+  // Scope: only allow looking up calls this customer placed
+  const owned = await pool.query(
+    'SELECT 1 FROM tasks WHERE customer_id=$1 AND call_sid=$2 LIMIT 1',
+    [req.customerId, req.params.callSid]
+  ).catch(() => ({ rows: [] }));
+  if (!owned.rows.length) {
     return res.status(403).json({ error: 'Call not found for this customer' });
   }
   try {
@@ -198,91 +139,59 @@ router.get('/:customerId/call/:callSid', async (req, res) => {
   }
 });
 
-// ── Web search ─────────────────────────────────────────────────────────────
+// ── Registry tools ─────────────────────────────────────────────────────────
 
-router.post('/:customerId/search', searchLimit, async (req, res) => {
-  const { query, count } = req.body;
-  if (!query || typeof query !== 'string' || query.length > 500) {
-    return res.status(400).json({ error: 'Missing or invalid search query (max 500 chars)' });
-  }
-  try {
-    const { search } = require('../services/web-search');
-    const results = await search(query, Math.min(count || 5, 10));
-    logActivity(req.customerId, 'web_search', `Searched: "${query}"`);
-    res.json({ results });
-  } catch (err) {
-    console.error(`Search tool error:`, err.message);
-    res.status(500).json({ error: err.message });
-  }
-});
+/**
+ * Run a tool for a Tools API request. Calls, emails and texts are recorded
+ * as tasks, as when the assistant runs them.
+ */
+async function runTool(customerId, name, input) {
+  const { isTrackedTool, recordToolRun } = require('../services/tasks');
+  if (!isTrackedTool(name)) return executeTool(customerId, name, input, { source: 'tools_api' });
 
-router.post('/:customerId/fetch', searchLimit, async (req, res) => {
-  const { url } = req.body;
-  if (!url || typeof url !== 'string') {
-    return res.status(400).json({ error: 'Missing URL' });
-  }
-  // Only allow http/https URLs
-  if (!/^https?:\/\//i.test(url)) {
-    return res.status(400).json({ error: 'Only http/https URLs are allowed' });
-  }
-  // Block internal/private network URLs (SSRF prevention)
-  if (/^https?:\/\/(localhost|127\.|10\.|172\.(1[6-9]|2\d|3[01])\.|192\.168\.)/i.test(url)) {
-    return res.status(400).json({ error: 'Internal URLs are not allowed' });
-  }
+  let result;
   try {
-    const { fetchPage } = require('../services/web-search');
-    const result = await fetchPage(url, Math.min(req.body.maxLength || 5000, 10000));
-    logActivity(req.customerId, 'web_fetch', `Fetched: ${url}`);
-    res.json(result);
+    result = await executeTool(customerId, name, input, { source: 'tools_api' });
   } catch (err) {
-    console.error(`Fetch tool error:`, err.message);
-    res.status(500).json({ error: err.message });
+    await recordToolRun(customerId, name, input, { error: err.message });
+    throw err;
   }
-});
+  await recordToolRun(customerId, name, input, { result });
+  return result;
+}
 
-// ── Calendar ───────────────────────────────────────────────────────────────
+for (const tool of httpTools()) {
+  const { method, path, prepare } = tool.http;
 
-router.get('/:customerId/calendar', calendarLimit, async (req, res) => {
-  try {
-    const { listEvents } = require('../services/google-calendar');
-    const events = await listEvents(req.customerId, {
-      maxResults: Math.min(parseInt(req.query.maxResults) || 10, 50),
-      timeMin: req.query.timeMin,
-    });
-    logActivity(req.customerId, 'calendar_list', `Listed ${events.length} calendar events`);
-    res.json({ events });
-  } catch (err) {
-    console.error(`Calendar list error (customer ${req.customerId}):`, err.message);
-    res.status(500).json({ error: err.message });
-  }
-});
+  router[method](`/:customerId${path}`, limiterFor(tool.rateLimit), async (req, res) => {
+    // Path params (minus customerId) and the query string fill in the body
+    const { customerId, ...params } = req.params;
+    let input = normalizeInput(tool, { ...req.query, ...(req.body || {}), ...params });
+    if (prepare) input = prepare(input);
 
-router.post('/:customerId/calendar', calendarLimit, async (req, res) => {
-  const { summary, start } = req.body;
-  if (!summary || !start) {
-    return res.status(400).json({ error: 'Missing required fields: summary, start' });
-  }
-  try {
-    const { createEvent } = require('../services/google-calendar');
-    const event = await createEvent(req.customerId, req.body);
-    logActivity(req.customerId, 'calendar_create', `Created event: "${summary}"`);
-    res.json({ success: true, event });
-  } catch (err) {
-    console.error(`Calendar create error (customer ${req.customerId}):`, err.message);
-    res.status(500).json({ error: err.message });
-  }
-});
+    const error = validateToolInput(tool, input);
+    if (error) return res.status(400).json({ error });
 
-router.delete('/:customerId/calendar/:eventId', calendarLimit, async (req, res) => {
-  try {
-    const { deleteEvent } = require('../services/google-calendar');
-    await deleteEvent(req.customerId, req.params.eventId);
-    logActivity(req.customerId, 'calendar_delete', `Deleted calendar event ${req.params.eventId}`);
-    res.json({ success: true });
-  } catch (err) {
-    console.error(`Calendar delete error (customer ${req.customerId}):`, err.message);
-    res.status(500).json({ error: err.message });
-  }
-});
+    try {
+      if (tool.capability) {
+        const { CAPABILITIES, enabledCapabilities } = require('../services/capabilities');
+        if (!(await enabledCapabilities(req.customerId)).has(tool.capability)) {
+          return res.status(403).json({ error: `${CAPABILITIES[tool.capability]} is turned off for this account` });
+        }
+      }
+      if (tool.recipients) {
+        const { checkRecipients } = require('../services/recipients');
+        const blocked = await checkRecipients(req.customerId, tool, input, { source: 'tools_api' });
+        if (blocked) return res.status(403).json({ error: blocked });
+      }
+
+      const result = await runTool(req.customerId, tool.name, input);
+      res.json({ success: true, ...result });
+    } catch (err) {
+      console.error(`Tool ${tool.name} error (customer ${req.customerId}):`, err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+}
 
 module.exports = router;
@@ -1,5 +1,6 @@
 /**
  * Voice Cloning — ElevenLabs voice cloning for custom call voices.
+ * Also holds the WhatsApp voice-reply preference (services/voice-replies.js).
  *
  * Mounted at /api/customer/voice (behind customerAuth middleware).
  *
@@ -158,4 +159,38 @@ router.delete('/clone', async (req, res) => {
   }
 });
 
+// ── GET /api/customer/voice/reply-settings — WhatsApp voice-note replies ────
+router.get('/reply-settings', async (req, res) => {
+  try {
+    const { getVoiceReplySettings, VOICE_REPLY_MODES, VOICE_REPLY_VOICES } = require('../services/voice-replies');
+    const settings = await getVoiceReplySettings(req.customerId);
+    res.json({
+      mode: settings.mode,
+      voice: settings.voice,
+      with_text: settings.withText,
+      has_cloned_voice: !!settings.voiceCloneId,
+      available_modes: VOICE_REPLY_MODES,
+      available_voices: VOICE_REPLY_VOICES,
+    });
+  } catch {
+    res.status(500).json({ error: 'Failed to fetch voice reply settings' });
+  }
+});
+
+// ── PUT /api/customer/voice/reply-settings — { mode?, voice?, with_text? } ──
+router.put('/reply-settings', async (req, res) => {
+  const { validateVoiceReplySettings, updateVoiceReplySettings } = require('../services/voice-replies');
+  const update = { mode: req.body.mode, voice: req.body.voice, withText: req.body.with_text };
+  const error = validateVoiceReplySettings(update);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const settings = await updateVoiceReplySettings(req.customerId, update);
+    res.json({ mode: settings.mode, voice: settings.voice, with_text: settings.withText, has_cloned_voice: !!settings.voiceCloneId });
+  } catch (err) {
+    console.error('Voice reply settings error:', err.message);
+    res.status(500).json({ error: 'Failed to update voice reply settings' });
+  }
+});
+
 module.exports = router;
@@ -20,13 +20,12 @@
  */
 
 const router = require('express').Router();
-const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { activeCallSessions } = require('../services/twilio-voice');
-
-const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+const { createMessage } = require('../services/llm');
+const { customerTaskModel } = require('../services/models');
 
 // ── Config ───────────────────────────────────────────────────────────────────
 
@@ -35,7 +34,6 @@ const VOICE_ID = process.env.ELEVENLABS_VOICE_ID || '21m00Tcm4TlvDq8ikWAM';
 const TTS_MODEL = 'eleven_flash_v2_5';
 const BASE_URL = process.env.MASTER_API_URL || 'https://bountiful-growth-production.up.railway.app';
 const AUDIO_DIR = path.join(os.tmpdir(), 'voice-audio');
-const MODEL = 'claude-haiku-4-5-20251001';
 const MAX_TOKENS = 80;
 const MAX_HISTORY = 4;
 const FALLBACK_VOICE = 'Polly.Joanna';
@@ -248,9 +246,11 @@ router.post('/respond', async (req, res) => {
     const t1 = Date.now();
     let aiText = "Sorry, could you repeat that?";
     try {
-      const r = await anthropic.messages.create({
-        model: MODEL, max_tokens: MAX_TOKENS, system: sys, messages: hist.messages,
-      });
+      // Looked up once per call — the customer's plan may use its own model
+      hist.model = hist.model || await customerTaskModel(session?.customerId, 'voice_call');
+      const r = await createMessage({
+        model: hist.model, max_tokens: MAX_TOKENS, system: sys, messages: hist.messages,
+      }, { customerId: session?.customerId, purpose: 'voice_call' });
       aiText = r.content[0]?.text || aiText;
     } catch (e) {
       console.error('[VOICE] Claude error:', e.message);
@@ -5,8 +5,12 @@
  * Flow:
  *  1. Twilio sends POST with From, To, Body (URL-encoded)
  *  2. We verify the Twilio signature
+ *     (redeliveries of an already-seen MessageSid are dropped before processing)
  *  3. Respond immediately with empty TwiML (avoids 15s timeout)
- *  4. Background: look up customer → send to Claude assistant → reply via Twilio REST API
+ *  4. Queue the message per sender — bursts are merged and processed one at a time
+ *  5. Background: look up customer → send to Claude assistant → reply via Twilio REST API
+ *     (bare YES/NO replies to a pending approval are handled by services/approvals.js,
+ *      slash commands like /usage or /pause by services/commands.js)
  *
  * Auth: Twilio signature verification (HMAC of URL + body params using TWILIO_AUTH_TOKEN)
  * Body: application/x-www-form-urlencoded (parsed by express.urlencoded in server.js)
@@ -16,6 +20,11 @@ const router = require('express').Router();
 const rateLimit = require('express-rate-limit');
 const { pool } = require('../db');
 const { handleMessage } = require('../services/assistant');
+const { isSupportedAttachment } = require('../services/attachments');
+const {
+  sendWhatsAppMessage, sendWhatsAppReply, splitMessage, downloadMedia, claimInboundMessage,
+} = require('../services/whatsapp');
+const { enqueueMessage } = require('../services/message-queue');
 
 // ── Rate limiting — keyed on sender phone number, not IP ──────────────────
 // Twilio sends all webhooks from shared IPs, so IP-based limiting would
@@ -107,7 +116,37 @@ router.post('/', webhookLimiter, validateTwilioSignature, async (req, res) => {
 
   console.log(`📨 WhatsApp from ${fromNumber} to ${toNumber}: "${(Body || '').slice(0, 80)}"`);
 
+  // Media attachments (images, audio, documents)
+  const media = [];
+  for (let i = 0; i < (parseInt(NumMedia) || 0); i++) {
+    const url = req.body[`MediaUrl${i}`];
+    if (url) media.push({ url, contentType: req.body[`MediaContentType${i}`] });
+  }
+
+  // Queue per conversation: processed one batch at a time, quick bursts merged
+  enqueueMessage(`${fromNumber}:${toNumber}`, { fromNumber, toNumber, body: Body || '', media, messageSid: MessageSid }, processMessages);
+});
+
+// ── Batch processing ──────────────────────────────────────────────────────
+// Runs once per burst of messages from one sender (see services/message-queue.js)
+async function processMessages(batch) {
+  const { fromNumber, toNumber } = batch[batch.length - 1];
+
   try {
+    // ── Step 0: Drop Twilio redeliveries ─────────────────────────────
+    // A retried webhook must never re-run tools (calls, emails, orders)
+    const fresh = [];
+    for (const msg of batch) {
+      if (await claimInboundMessage(msg.messageSid, msg.fromNumber)) {
+        fresh.push(msg);
+      } else {
+        console.log(`🔁 Skipping duplicate WhatsApp message ${msg.messageSid}`);
+      }
+    }
+    if (!fresh.length) return;
+    batch = fresh;
+    if (batch.length > 1) console.log(`📦 Merging ${batch.length} messages from ${fromNumber} into one turn`);
+
     // ── Step 1: Look up customer ─────────────────────────────────────
     // Sandbox mode: all messages go to the shared sandbox number, so we
     // look up the customer by their personal phone (From) which is stored
@@ -158,7 +197,7 @@ router.post('/', webhookLimiter, validateTwilioSignature, async (req, res) => {
 
     if (!custResult.rows.length) {
       console.warn(`No customer found for ${isSandbox ? 'sender' : 'number'} ${lookupNumber}`);
-      await sendWhatsAppReply(toNumber, fromNumber,
+      await sendWhatsAppMessage(toNumber, fromNumber,
         `Hey! You don't have a Kova account yet. Sign up at ${SIGNUP_URL} to get started!`);
       return;
     }
@@ -167,25 +206,39 @@ router.post('/', webhookLimiter, validateTwilioSignature, async (req, res) => {
 
     // ── Step 2: Validate customer status ────────────────────────────────
     if (customer.subscription_status !== 'active') {
-      await sendWhatsAppReply(toNumber, fromNumber,
+      await sendWhatsAppMessage(toNumber, fromNumber,
         `Your Kova subscription isn't active. Manage your billing at ${PORTAL_URL}`);
       return;
     }
 
-    // ── Step 3: Check daily message limit ──────────────────────────────
-    const UNLIMITED_CUSTOMER_IDS = [1]; // Platform owner — no limit
-
-    if (!UNLIMITED_CUSTOMER_IDS.includes(customer.id)) {
-      const { checkLimit, incrementUsage } = require('../services/usage');
-      const limitCheck = await checkLimit(customer.id, 'whatsapp_messages');
-      if (limitCheck.exceeded) {
-        await sendWhatsAppReply(toNumber, fromNumber,
-          `You've reached your daily message limit (30/day). Try again tomorrow!`);
-        return;
+    // ── Step 3: Slash commands (/help, /usage, /pause …) ────────────────
+    // Answered directly — no Claude call, no message-limit unit
+    const { parseCommand, runCommand, isPaused } = require('../services/commands');
+    const remaining = [];
+    for (const msg of batch) {
+      const command = !msg.media.length && parseCommand(msg.body);
+      if (!command) {
+        remaining.push(msg);
+        continue;
       }
+      const commandReply = await runCommand(customer.id, command);
+      await sendWhatsAppReply(toNumber, fromNumber, commandReply);
+      console.log(`🛠️ Command /${command.name} handled for customer ${customer.id}`);
+      pool.query(
+        `INSERT INTO activity_log (customer_id, event_type, description, metadata) VALUES ($1, 'whatsapp_command', $2, $3)`,
+        [customer.id, `WhatsApp command /${command.name}`, JSON.stringify({ message_sid: msg.messageSid, command: command.name })]
+      ).catch(err => console.error('Activity log error:', err.message));
     }
+    if (!remaining.length) return;
+    batch = remaining;
 
-    // ── Step 4: Auto-learn whatsapp_from on first message ───────────────
+    // ── Step 4: Paused via /pause ───────────────────────────────────────
+    if (await isPaused(customer.id)) {
+      await sendWhatsAppMessage(toNumber, fromNumber, '⏸️ I\'m paused. Send /resume to turn me back on.');
+      return;
+    }
+
+    // ── Step 5: Auto-learn whatsapp_from on first message ───────────────
     if (!customer.whatsapp_from) {
       await pool.query(
         'UPDATE customers SET whatsapp_from = $1, updated_at = NOW() WHERE id = $2',
@@ -194,48 +247,67 @@ router.post('/', webhookLimiter, validateTwilioSignature, async (req, res) => {
       console.log(`📱 Learned whatsapp_from for customer ${customer.id}: ${fromNumber}`);
     }
 
-    // ── Step 5: Build message content ───────────────────────────────────
-    let messageContent = Body || '';
-
-    // Handle media attachments (images, audio, documents)
-    const numMedia = parseInt(NumMedia) || 0;
-    if (numMedia > 0) {
-      const mediaDescriptions = [];
-      for (let i = 0; i < numMedia; i++) {
-        const mediaUrl = req.body[`MediaUrl${i}`];
-        const mediaType = req.body[`MediaContentType${i}`];
-        if (mediaUrl) {
-          mediaDescriptions.push(`[Attached ${mediaType || 'file'}: ${mediaUrl}]`);
-        }
-      }
-      if (mediaDescriptions.length) {
-        messageContent = messageContent
-          ? `${messageContent}\n\n${mediaDescriptions.join('\n')}`
-          : mediaDescriptions.join('\n');
-      }
-    }
+    // ── Step 6: Build message content ───────────────────────────────────
+    // One turn for the whole burst, messages separated by blank lines.
+    // Voice notes are transcribed, so the transcript is what gets saved to history.
+    const parts = [];
+    for (const msg of batch) parts.push(await buildMessageText(msg));
+    const messageContent = parts.filter(text => text.trim()).join('\n\n');
+    const hasMedia = batch.some(msg => msg.media.length > 0);
+    // Photos and PDFs are passed to Claude as content, not just as URLs
+    const visualMedia = batch.flatMap(msg => msg.media.filter(m => isSupportedAttachment(m.contentType)));
+    const voiceNotes = batch.reduce((n, msg) => n + msg.media.filter(m => isAudio(m.contentType)).length, 0);
 
     if (!messageContent.trim()) {
       console.warn(`Empty message from ${fromNumber} — ignoring`);
       return;
     }
 
-    // ── Step 6: Send to Claude assistant ────────────────────────────────
+    // ── Step 7: YES/NO replies to pending approvals ─────────────────────
+    // Answered directly (no Claude call, not counted towards the limit) — and
+    // before the limit check, so a customer at the limit can still answer
+    const { handleApprovalReply } = require('../services/approvals');
+    const approvalReply = await handleApprovalReply(customer.id, messageContent);
+    if (approvalReply) {
+      for (const chunk of splitMessage(approvalReply, 1500)) {
+        await sendWhatsAppMessage(toNumber, fromNumber, chunk);
+      }
+      console.log(`🔐 Approval reply handled for customer ${customer.id}`);
+      return;
+    }
+
+    // ── Step 8: Check daily message limit ──────────────────────────────
+    const UNLIMITED_CUSTOMER_IDS = [1]; // Platform owner — no limit
+
+    if (!UNLIMITED_CUSTOMER_IDS.includes(customer.id)) {
+      const { checkLimit, incrementUsage } = require('../services/usage');
+      const limitCheck = await checkLimit(customer.id, 'whatsapp_messages');
+      if (limitCheck.exceeded) {
+        await sendWhatsAppMessage(toNumber, fromNumber,
+          `You've reached your daily message limit (30/day). Try again tomorrow!`);
+        return;
+      }
+    }
+
+    // ── Step 9: Send to Claude assistant ────────────────────────────────
     // All messages go through Claude, which decides when to use OpenClaw
     // via the openclaw_task tool (with proper credentials and system prompt).
     console.log(`🤖 Sending to Claude for customer ${customer.id}`);
-    const replyText = await handleMessage(customer.id, messageContent);
+    const { reply: replyText, attachments, model } = await handleMessage(customer.id, messageContent, { media: visualMedia });
 
-    // ── Step 7: Send AI response back via WhatsApp ──────────────────────
-    // WhatsApp has a 1600 char limit per message — split if needed
-    const chunks = splitMessage(replyText, 1500);
-    for (const chunk of chunks) {
-      await sendWhatsAppReply(toNumber, fromNumber, chunk);
-    }
+    // ── Step 10: Send AI response back via WhatsApp ─────────────────────
+    // WhatsApp has a 1600 char limit per message — split if needed.
+    // Generated images, tickets and invites follow as media messages, plus a
+    // voice note if the customer prefers audio (by default: when they sent one).
+    const { renderVoiceReply } = require('../services/voice-replies');
+    const voiceReply = await renderVoiceReply(customer.id, replyText, { receivedVoiceNote: voiceNotes > 0 });
+    const sent = await sendWhatsAppReply(toNumber, fromNumber,
+      voiceReply && !voiceReply.withText ? '' : replyText,
+      voiceReply ? [voiceReply.attachment, ...attachments] : attachments);
 
-    console.log(`✅ Replied to ${fromNumber} (customer ${customer.id}, ${chunks.length} msg${chunks.length > 1 ? 's' : ''})`);
+    console.log(`✅ Replied to ${fromNumber} (customer ${customer.id}, ${sent} msg${sent > 1 ? 's' : ''})`);
 
-    // ── Step 8: Log to activity_log ─────────────────────────────────────
+    // ── Step 11: Log to activity_log ────────────────────────────────────
     await pool.query(
       `INSERT INTO activity_log (customer_id, event_type, description, metadata)
        VALUES ($1, 'whatsapp_message', $2, $3)`,
@@ -243,75 +315,67 @@ router.post('/', webhookLimiter, validateTwilioSignature, async (req, res) => {
         customer.id,
         `WhatsApp message from ${fromNumber}`,
         JSON.stringify({
-          message_sid: MessageSid,
+          message_sid: batch[batch.length - 1].messageSid,
+          ...(batch.length > 1 && { merged_message_sids: batch.map(msg => msg.messageSid) }),
           from: fromNumber,
-          has_media: numMedia > 0,
+          has_media: hasMedia,
+          ...(voiceNotes && { voice_notes: voiceNotes }),
+          ...(visualMedia.length && { attachments: visualMedia.map(m => m.contentType) }),
           response_length: replyText.length,
+          model,
+          ...(attachments.length && { attachments_sent: attachments.map(a => a.filename) }),
+          ...(voiceReply && { voice_reply: true }),
         }),
       ]
     );
 
-    // ── Step 9: Increment usage counter ─────────────────────────────────
+    // ── Step 12: Increment usage counter ───────────────────────────────
     if (!UNLIMITED_CUSTOMER_IDS.includes(customer.id)) {
       const { incrementUsage } = require('../services/usage');
-      await incrementUsage(customer.id, 'whatsapp_messages');
+      await incrementUsage(customer.id, 'whatsapp_messages', batch.length);
     }
 
   } catch (err) {
     console.error('WhatsApp webhook error:', err);
     try {
-      await sendWhatsAppReply(toNumber, fromNumber,
+      await sendWhatsAppMessage(toNumber, fromNumber,
         'Sorry, I encountered an error processing your message. Please try again.');
     } catch (replyErr) {
       console.error('Failed to send error reply:', replyErr.message);
     }
   }
-});
-
-// ── Helper: Send WhatsApp message via Twilio REST API ─────────────────────
+}
 
-let _twilioClient = null;
+// ── Helper: Message text, with voice notes transcribed ────────────────────
 
-function getTwilioClient() {
-  if (_twilioClient) return _twilioClient;
-  const sid = process.env.TWILIO_ACCOUNT_SID;
-  const token = process.env.TWILIO_AUTH_TOKEN;
-  if (!sid || !token) throw new Error('Twilio not configured');
-  _twilioClient = require('twilio')(sid, token);
-  return _twilioClient;
+function isAudio(contentType) {
+  return /^audio\//i.test(contentType || '');
 }
 
-async function sendWhatsAppReply(from, to, body) {
-  const client = getTwilioClient();
-  await client.messages.create({
-    from: `whatsapp:${from}`,
-    to: `whatsapp:${to}`,
-    body,
-  });
+async function buildMessageText(msg) {
+  const parts = msg.body ? [msg.body] : [];
+  for (const media of msg.media) {
+    parts.push(isAudio(media.contentType)
+      ? await transcribeVoiceNote(media)
+      : `[Attached ${media.contentType || 'file'}: ${media.url}]`);
+  }
+  return parts.join('\n\n');
 }
 
-// ── Helper: Split long messages for WhatsApp's 1600 char limit ────────────
-
-function splitMessage(text, maxLength) {
-  if (text.length <= maxLength) return [text];
+async function transcribeVoiceNote(media) {
+  const { transcribe, isTranscriptionAvailable } = require('../services/speech-to-text');
+  if (!isTranscriptionAvailable()) return `[Attached ${media.contentType}: ${media.url}]`;
 
-  const chunks = [];
-  let remaining = text;
-  while (remaining.length > 0) {
-    if (remaining.length <= maxLength) {
-      chunks.push(remaining);
-      break;
-    }
-    // Split at paragraph break, then sentence end, then word boundary
-    let splitIndex = remaining.lastIndexOf('\n\n', maxLength);
-    if (splitIndex < maxLength * 0.3) splitIndex = remaining.lastIndexOf('. ', maxLength);
-    if (splitIndex < maxLength * 0.3) splitIndex = remaining.lastIndexOf(' ', maxLength);
-    if (splitIndex < maxLength * 0.3) splitIndex = maxLength;
-
-    chunks.push(remaining.slice(0, splitIndex + 1).trim());
-    remaining = remaining.slice(splitIndex + 1).trim();
+  try {
+    const { buffer, contentType } = await downloadMedia(media.url);
+    const { text } = await transcribe(buffer, media.contentType || contentType);
+    return text
+      ? `[Voice note transcript] ${text}`
+      : '[Voice note: no speech detected]';
+  } catch (err) {
+    console.error('Voice note transcription failed:', err.message);
+    return '[Voice note — could not be transcribed. Ask the customer to type it instead.]';
   }
-  return chunks;
 }
 
 module.exports = router;
@@ -39,6 +39,9 @@ app.use(
 // ── Serve generated voice audio files ───────────────────────────────────────────
 app.use('/voice-audio', express.static(path.join(os.tmpdir(), 'voice-audio')));
 
+// Outbound WhatsApp media (signed, expiring links — Twilio fetches these)
+app.use('/media', require('./routes/media'));
+
 // ── Standard middleware ────────────────────────────────────────────────────────
 app.use(express.json({ limit: '1mb' }));
 app.use(cors({
@@ -88,5 +91,9 @@ const PORT = process.env.PORT || 8080;
 initDB()
   .then(() => {
     app.listen(PORT, () => console.log(`🚀 API running on port ${PORT}`));
+    require('./services/reminders').startReminderWorker();
+    require('./services/tasks').startTaskWorker();
+    require('./services/whatsapp').startProcessedMessageSweep();
+    require('./services/media-store').startMediaSweep();
   })
   .catch(err => { console.error('DB init failed:', err); process.exit(1); });
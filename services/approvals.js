@@ -0,0 +1,320 @@
+/**
+ * Approvals — human-in-the-loop confirmation for high-risk assistant actions.
+ *
+ * Each customer chooses which tools need their OK first
+ * (customer_profiles.approval_required_tools). When Claude calls one of them,
+ * the call is stored in `pending_actions` instead of running, and the
+ * customer is asked on WhatsApp to reply YES or NO. The action only runs if
+ * approved (on WhatsApp or in the portal) before it expires.
+ *
+ * Profile changes learned from conversation (services/preferences.js) use
+ * the same flow as `update_profile` actions.
+ */
+
+const { pool } = require('../db');
+const { logActivity, truncate } = require('./util');
+
+// Tools that can be put behind approval — anything that acts in the outside world
+const APPROVABLE_TOOLS = ['make_phone_call', 'send_email', 'send_text_message', 'openclaw_task'];
+
+const DEFAULT_TIMEOUT_MINUTES = 30;
+const MAX_TIMEOUT_MINUTES = 24 * 60;
+
+const APPROVE_PATTERN = /^\s*(yes|y|yep|yeah|confirm|approve|approved|go ahead)\b[\s#.!]*(\d+)?[\s.!]*$/i;
+const REJECT_PATTERN = /^\s*(no|n|nope|cancel|reject|deny|don't|dont)\b[\s#.!]*(\d+)?[\s.!]*$/i;
+
+// ── Settings ────────────────────────────────────────────────────────────────
+
+/**
+ * @returns {{ tools: string[], timeoutMinutes: number }}
+ */
+async function getApprovalSettings(customerId) {
+  const result = await pool.query(
+    'SELECT approval_required_tools, approval_timeout_minutes FROM customer_profiles WHERE customer_id=$1',
+    [customerId]
+  );
+  const row = result.rows[0] || {};
+  // No profile row yet means the column default: every high-risk tool
+  const tools = Array.isArray(row.approval_required_tools)
+    ? row.approval_required_tools.filter(t => APPROVABLE_TOOLS.includes(t))
+    : [...APPROVABLE_TOOLS];
+  return { tools, timeoutMinutes: row.approval_timeout_minutes || DEFAULT_TIMEOUT_MINUTES };
+}
+
+/**
+ * Check an approval settings update. Returns an error message, or null.
+ */
+function validateApprovalSettings({ tools, timeoutMinutes } = {}) {
+  if (tools !== undefined) {
+    if (!Array.isArray(tools)) return 'tools must be an array';
+    const unknown = tools.filter(t => !APPROVABLE_TOOLS.includes(t));
+    if (unknown.length) return `Approval not supported for: ${unknown.join(', ')}`;
+  }
+  if (timeoutMinutes !== undefined) {
+    const minutes = parseInt(timeoutMinutes);
+    if (!(minutes >= 1 && minutes <= MAX_TIMEOUT_MINUTES)) {
+      return `timeout_minutes must be between 1 and ${MAX_TIMEOUT_MINUTES}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Update which tools need approval and how long a request stays open.
+ */
+async function updateApprovalSettings(customerId, { tools, timeoutMinutes } = {}) {
+  const error = validateApprovalSettings({ tools, timeoutMinutes });
+  if (error) throw new Error(error);
+
+  // Make sure the profile row exists — the UPDATE alone would silently do nothing
+  await pool.query(
+    'INSERT INTO customer_profiles (customer_id) VALUES ($1) ON CONFLICT (customer_id) DO NOTHING',
+    [customerId]
+  );
+  await pool.query(
+    `UPDATE customer_profiles SET
+       approval_required_tools  = COALESCE($1, approval_required_tools),
+       approval_timeout_minutes = COALESCE($2, approval_timeout_minutes),
+       updated_at               = NOW()
+     WHERE customer_id = $3`,
+    [tools !== undefined ? JSON.stringify([...new Set(tools)]) : null, timeoutMinutes !== undefined ? parseInt(timeoutMinutes) : null, customerId]
+  );
+  return getApprovalSettings(customerId);
+}
+
+// ── Pending actions ─────────────────────────────────────────────────────────
+
+/**
+ * One-line description of what the tool call would do, for the YES/NO prompt.
+ */
+function summarizeAction(toolName, input) {
+  switch (toolName) {
+    case 'make_phone_call':
+      return `Call ${input.to} to ${truncate(input.purpose || input.task || input.message, 160)}`;
+    case 'send_email':
+      return `Email ${input.to}: "${truncate(input.subject, 100)}"`;
+    case 'send_text_message':
+      return `Text ${input.to}: "${truncate(input.body, 160)}"`;
+    case 'openclaw_task':
+      return `${input.credentials_app ? `On ${input.credentials_app}: ` : ''}${truncate(input.task, 200)}`;
+    case 'update_profile':
+      return require('./preferences').describeChange({ ...input, value: truncate(input.value, 160), previous: input.previous && truncate(input.previous, 80) });
+    default:
+      return `Run ${toolName}`;
+  }
+}
+
+async function createPendingAction(customerId, toolName, toolInput, timeoutMinutes = DEFAULT_TIMEOUT_MINUTES) {
+  const summary = summarizeAction(toolName, toolInput);
+  const result = await pool.query(
+    `INSERT INTO pending_actions (customer_id, tool_name, tool_input, summary, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + $5 * INTERVAL '1 minute')
+     RETURNING *`,
+    [customerId, toolName, JSON.stringify(toolInput), summary, timeoutMinutes]
+  );
+  const action = result.rows[0];
+  console.log(`🔐 Pending action #${action.id} (${toolName}) awaiting approval from customer ${customerId}`);
+  logActivity(customerId, 'action_pending', `Awaiting approval: ${summary}`, { action_id: action.id, tool: toolName });
+  return action;
+}
+
+/**
+ * Mark pending actions past their deadline as expired.
+ */
+async function expireStaleActions(customerId) {
+  await pool.query(
+    `UPDATE pending_actions SET status = 'expired', updated_at = NOW()
+     WHERE customer_id = $1 AND status = 'pending' AND expires_at <= NOW()`,
+    [customerId]
+  );
+}
+
+async function listPendingActions(customerId, { status, limit = 50 } = {}) {
+  await expireStaleActions(customerId);
+  const result = await pool.query(
+    `SELECT id, tool_name, tool_input, summary, status, result, error,
+            expires_at, decided_at, decided_via, executed_at, created_at
+     FROM pending_actions
+     WHERE customer_id = $1 AND ($2::text IS NULL OR status = $2)
+     ORDER BY created_at DESC LIMIT $3`,
+    [customerId, status || null, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * The WhatsApp prompt for newly created pending actions.
+ */
+function formatApprovalPrompt(actions, timeoutMinutes) {
+  if (!actions.length) return '';
+  const expiry = `(expires in ${timeoutMinutes} min)`;
+  if (actions.length === 1) {
+    return `🔐 ${actions[0].summary}?\nReply YES to go ahead or NO to cancel ${expiry}.`;
+  }
+  const lines = actions.map(a => `#${a.id} ${a.summary}`).join('\n');
+  return `🔐 These need your OK:\n${lines}\nReply YES <number> or NO <number> ${expiry}.`;
+}
+
+/**
+ * Short customer-facing outcome of an executed action.
+ */
+function describeOutcome(action) {
+  switch (action.tool_name) {
+    case 'make_phone_call':   return '📞 Calling now — I\'ll send you a summary when the call ends.';
+    case 'send_email':        return '📧 Email sent.';
+    case 'send_text_message': return '💬 Text sent.';
+    case 'openclaw_task':     return '⏳ On it — I\'ll message you when it\'s done.';
+    case 'update_profile':    return '✅ Saved to your profile.';
+    default:                  return '✅ Done.';
+  }
+}
+
+/**
+ * Reject a pending action. Returns the updated row, or null if it was no
+ * longer pending.
+ */
+async function rejectAction(customerId, actionId, via = 'whatsapp') {
+  const result = await pool.query(
+    `UPDATE pending_actions
+     SET status = 'rejected', decided_at = NOW(), decided_via = $3, updated_at = NOW()
+     WHERE id = $1 AND customer_id = $2 AND status = 'pending'
+     RETURNING *`,
+    [actionId, customerId, via]
+  );
+  const action = result.rows[0];
+  if (action) {
+    console.log(`🔐 Pending action #${action.id} rejected by customer ${customerId}`);
+    logActivity(customerId, 'action_rejected', `Rejected: ${action.summary}`, { action_id: action.id, via });
+  }
+  return action || null;
+}
+
+/**
+ * Approve a pending action and run it — long tools are queued as background
+ * tasks, so their result here is just the task_id. The claim is atomic, so
+ * a double "YES" (or WhatsApp + portal at once) runs it only once.
+ *
+ * @returns {{ action, result?, error? } | null} null if not pending or expired
+ */
+async function approveAction(customerId, actionId, via = 'whatsapp') {
+  const claim = await pool.query(
+    `UPDATE pending_actions
+     SET status = 'approved', decided_at = NOW(), decided_via = $3, updated_at = NOW()
+     WHERE id = $1 AND customer_id = $2 AND status = 'pending' AND expires_at > NOW()
+     RETURNING *`,
+    [actionId, customerId, via]
+  );
+  const action = claim.rows[0];
+  if (!action) return null;
+
+  console.log(`🔐 Pending action #${action.id} approved — running ${action.tool_name}`);
+  const { dispatchTool } = require('./assistant');
+  try {
+    const result = await dispatchTool(customerId, action.tool_name, action.tool_input);
+    await pool.query(
+      `UPDATE pending_actions SET status = 'executed', result = $2, executed_at = NOW(), updated_at = NOW() WHERE id = $1`,
+      [action.id, JSON.stringify(result ?? null)]
+    );
+    logActivity(customerId, 'action_approved', `Approved: ${action.summary}`, { action_id: action.id, via });
+    return { action, result };
+  } catch (err) {
+    console.error(`❌ Approved action #${action.id} (${action.tool_name}) FAILED:`, err.message);
+    await pool.query(
+      `UPDATE pending_actions SET status = 'failed', error = $2, updated_at = NOW() WHERE id = $1`,
+      [action.id, err.message]
+    );
+    return { action, error: err.message };
+  }
+}
+
+// ── WhatsApp replies ────────────────────────────────────────────────────────
+
+// Profile suggestions stay open for a day, so they are only answered by
+// number ("YES 12") — a bare "yes" is far more likely meant for the
+// conversation ("Shall I book the 7pm table?") and goes to the assistant.
+function needsNumberedReply(action) {
+  return action.tool_name === 'update_profile' && action.tool_input?.source === 'suggestion';
+}
+
+/**
+ * Parse a bare YES/NO reply, optionally with an action number ("yes 12").
+ * Longer messages ("yes but make it 8pm") are left for the assistant.
+ */
+function parseApprovalReply(text) {
+  const approve = APPROVE_PATTERN.exec(text || '');
+  if (approve) return { decision: 'approve', actionId: approve[2] ? parseInt(approve[2]) : null };
+  const reject = REJECT_PATTERN.exec(text || '');
+  if (reject) return { decision: 'reject', actionId: reject[2] ? parseInt(reject[2]) : null };
+  return null;
+}
+
+/**
+ * Handle an inbound WhatsApp message if it answers a pending approval.
+ * Returns the reply text, or null if the message isn't an approval reply
+ * (and should go to the assistant as usual).
+ */
+async function handleApprovalReply(customerId, text) {
+  const parsed = parseApprovalReply(text);
+  if (!parsed) return null;
+
+  await expireStaleActions(customerId);
+
+  let action;
+  if (parsed.actionId) {
+    const result = await pool.query(
+      'SELECT * FROM pending_actions WHERE id = $1 AND customer_id = $2',
+      [parsed.actionId, customerId]
+    );
+    action = result.rows[0];
+    if (!action) return `I couldn't find a request #${parsed.actionId}.`;
+    if (action.status !== 'pending') return `Request #${action.id} is already ${action.status}.`;
+  } else {
+    const pending = (await listPendingActions(customerId, { status: 'pending' }))
+      .filter(a => !needsNumberedReply(a));
+    if (!pending.length) return null; // a plain "yes" to something else
+    if (pending.length > 1) {
+      const lines = pending.map(a => `#${a.id} ${a.summary}`).join('\n');
+      return `You have ${pending.length} requests waiting:\n${lines}\nReply YES <number> or NO <number>.`;
+    }
+    action = pending[0];
+  }
+
+  let reply;
+  let toolsUsed = [];
+  if (parsed.decision === 'reject') {
+    const rejected = await rejectAction(customerId, action.id);
+    reply = rejected ? `❌ Cancelled: ${action.summary}` : `Request #${action.id} is no longer pending.`;
+  } else {
+    const outcome = await approveAction(customerId, action.id);
+    if (!outcome) {
+      reply = `That request has expired — just ask me again.`;
+    } else if (outcome.error) {
+      reply = `Sorry, that failed: ${outcome.error}`;
+      toolsUsed = [{ name: action.tool_name, success: false }];
+    } else {
+      reply = describeOutcome(action);
+      toolsUsed = [{ name: action.tool_name, success: true }];
+    }
+  }
+
+  // Keep the exchange in history so the assistant knows what happened
+  const { saveMessages } = require('./assistant');
+  await saveMessages(customerId, text, reply, toolsUsed)
+    .catch(err => console.error('Approval history save error:', err.message));
+
+  return reply;
+}
+
+module.exports = {
+  APPROVABLE_TOOLS,
+  getApprovalSettings,
+  validateApprovalSettings,
+  updateApprovalSettings,
+  createPendingAction,
+  listPendingActions,
+  approveAction,
+  rejectAction,
+  formatApprovalPrompt,
+  describeOutcome,
+  handleApprovalReply,
+};
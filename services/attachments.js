@@ -0,0 +1,150 @@
+/**
+ * Attachments — turns WhatsApp photos and PDFs into Claude content blocks.
+ *
+ * Images go in as vision blocks, PDFs as document blocks, so the assistant
+ * can read a menu photo or a flight confirmation screenshot directly
+ * instead of seeing a bare URL.
+ *
+ * History only stores the text marker ("[Attached image/jpeg: <url>]").
+ * Downloads are cached in memory for CACHE_TTL_MS, which also lets the
+ * next turn or two see the same attachment again ("book the 2nd one")
+ * without re-fetching it.
+ */
+
+const { downloadMedia } = require('./whatsapp');
+
+// Per-type limits — Claude accepts images up to 5MB; PDFs are kept smaller
+// to bound tokens (every page is also sent as an image)
+const SUPPORTED_TYPES = {
+  'image/jpeg':      { block: 'image',    maxBytes: 5 * 1024 * 1024 },
+  'image/png':       { block: 'image',    maxBytes: 5 * 1024 * 1024 },
+  'image/gif':       { block: 'image',    maxBytes: 5 * 1024 * 1024 },
+  'image/webp':      { block: 'image',    maxBytes: 5 * 1024 * 1024 },
+  'application/pdf': { block: 'document', maxBytes: 10 * 1024 * 1024 },
+};
+
+const MAX_ATTACHMENTS_PER_TURN = 5;
+const HISTORY_TURNS_WITH_ATTACHMENTS = 2;
+
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const MAX_CACHE_BYTES = 50 * 1024 * 1024;
+
+// Matches the marker the webhook writes for each attachment
+const MARKER_RE = /\[Attached ([\w.+-]+\/[\w.+-]+): (\S+)\]/g;
+
+// url → { block, bytes, at } — Map keeps insertion order, so the first key is the oldest
+const cache = new Map();
+let cacheBytes = 0;
+
+function baseType(contentType) {
+  return (contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function isSupportedAttachment(contentType) {
+  return !!SUPPORTED_TYPES[baseType(contentType)];
+}
+
+// ── Cache ───────────────────────────────────────────────────────────────────
+
+function cacheGet(url) {
+  const entry = cache.get(url);
+  if (!entry) return null;
+  if (Date.now() - entry.at > CACHE_TTL_MS) {
+    cache.delete(url);
+    cacheBytes -= entry.bytes;
+    return null;
+  }
+  return entry.block;
+}
+
+function cacheSet(url, block, bytes) {
+  if (bytes > MAX_CACHE_BYTES) return;
+  const existing = cache.get(url);
+  if (existing) {
+    cache.delete(url);
+    cacheBytes -= existing.bytes;
+  }
+  cache.set(url, { block, bytes, at: Date.now() });
+  cacheBytes += bytes;
+  for (const [key, entry] of cache) {
+    if (cacheBytes <= MAX_CACHE_BYTES) break;
+    cache.delete(key);
+    cacheBytes -= entry.bytes;
+  }
+}
+
+// ── Content blocks ──────────────────────────────────────────────────────────
+
+async function loadBlock(media) {
+  const type = baseType(media.contentType);
+  const spec = SUPPORTED_TYPES[type];
+  if (!spec) throw new Error(`unsupported type ${type || 'unknown'}`);
+
+  const cached = cacheGet(media.url);
+  if (cached) return cached;
+
+  const { buffer } = await downloadMedia(media.url);
+  if (buffer.length > spec.maxBytes) {
+    throw new Error(`too large (${(buffer.length / 1024 / 1024).toFixed(1)}MB, max ${spec.maxBytes / 1024 / 1024}MB)`);
+  }
+
+  const block = {
+    type: spec.block,
+    source: { type: 'base64', media_type: type, data: buffer.toString('base64') },
+  };
+  cacheSet(media.url, block, buffer.length);
+  return block;
+}
+
+/**
+ * Build content blocks for a turn's attachments. Unreadable ones become a
+ * short text note so the assistant can tell the customer.
+ *
+ * @param {Array<{url, contentType}>} media
+ * @returns {Array} Claude content blocks (image / document / text)
+ */
+async function buildAttachmentBlocks(media) {
+  const blocks = [];
+  for (const [i, item] of media.entries()) {
+    if (i >= MAX_ATTACHMENTS_PER_TURN) {
+      blocks.push({ type: 'text', text: `(${media.length - i} more attachment(s) skipped — max ${MAX_ATTACHMENTS_PER_TURN} per message)` });
+      break;
+    }
+    try {
+      blocks.push(await loadBlock(item));
+    } catch (err) {
+      console.error(`Attachment ${item.url} unreadable:`, err.message);
+      blocks.push({ type: 'text', text: `(Attachment ${baseType(item.contentType) || 'file'} could not be read: ${err.message})` });
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Re-attach still-cached images/PDFs to the most recent user turns in
+ * history, so follow-ups can refer to them. Never downloads — anything
+ * expired stays a plain text marker.
+ *
+ * @param {Array<{role, content}>} history - Chronological, content as text
+ */
+function hydrateHistory(history) {
+  let turns = 0;
+  for (let i = history.length - 1; i >= 0 && turns < HISTORY_TURNS_WITH_ATTACHMENTS; i--) {
+    const row = history[i];
+    if (row.role !== 'user' || typeof row.content !== 'string') continue;
+    turns++;
+
+    const blocks = [];
+    for (const [, contentType, url] of row.content.matchAll(MARKER_RE)) {
+      if (!isSupportedAttachment(contentType)) continue;
+      const block = cacheGet(url);
+      if (block) blocks.push(block);
+    }
+    if (blocks.length) {
+      history[i] = { role: 'user', content: [...blocks, { type: 'text', text: row.content }] };
+    }
+  }
+  return history;
+}
+
+module.exports = { buildAttachmentBlocks, hydrateHistory, isSupportedAttachment };
@@ -0,0 +1,174 @@
+/**
+ * Capabilities — which groups of tools a customer's assistant may use.
+ *
+ * Each tool module declares the capability it belongs to (services/tools/);
+ * tools without one (weather, task status, profile, memories) are always on.
+ * Whether a capability is on for a customer is decided in three layers:
+ *
+ *   1. Plan default    plan_capabilities.disabled_capabilities (admin)
+ *   2. Admin override  customers.capability_overrides, e.g. { "calls": true }
+ *   3. Customer switch customer_profiles.disabled_capabilities (portal)
+ *
+ * The first two decide what is *allowed*; the customer can only turn allowed
+ * capabilities off and back on. Disabled tools are left out of Claude's tool
+ * list and rejected again by executeTool(), so neither the assistant, the
+ * Tools API nor an already-queued task can use them.
+ */
+
+const { pool } = require('../db');
+
+const CAPABILITIES = {
+  email:     'Send emails',
+  calls:     'Make phone calls',
+  sms:       'Send text messages',
+  web:       'Search and read the web',
+  calendar:  'Google Calendar and calendar invites',
+  reminders: 'Reminders',
+  images:    'Generate images',
+  browsing:  'Browse websites and use your connected apps',
+};
+
+function unknownCapabilities(keys) {
+  return keys.filter(key => !CAPABILITIES[key]);
+}
+
+function asList(value) {
+  return Array.isArray(value) ? value.filter(key => CAPABILITIES[key]) : [];
+}
+
+// ── Resolution ──────────────────────────────────────────────────────────────
+
+/**
+ * Every capability with how it is set for this customer.
+ *
+ * @returns {{ plan, capabilities: Array<{ key, label, tools, plan_default, override, allowed, enabled }> }}
+ */
+async function getCapabilities(customerId) {
+  const result = await pool.query(
+    `SELECT c.plan, c.capability_overrides, cp.disabled_capabilities, pc.disabled_capabilities AS plan_disabled
+     FROM customers c
+     LEFT JOIN customer_profiles cp ON cp.customer_id = c.id
+     LEFT JOIN plan_capabilities pc ON pc.plan = c.plan
+     WHERE c.id = $1`,
+    [customerId]
+  );
+  if (!result.rows.length) throw new Error(`Customer ${customerId} not found`);
+  const { capabilityTools } = require('./tools');
+
+  const row = result.rows[0];
+  const planDisabled = asList(row.plan_disabled);
+  const customerDisabled = asList(row.disabled_capabilities);
+  const overrides = row.capability_overrides || {};
+
+  const capabilities = Object.entries(CAPABILITIES).map(([key, label]) => {
+    const planDefault = !planDisabled.includes(key);
+    const override = typeof overrides[key] === 'boolean' ? overrides[key] : null;
+    const allowed = override ?? planDefault;
+    return {
+      key, label, tools: capabilityTools(key),
+      plan_default: planDefault, override, allowed,
+      enabled: allowed && !customerDisabled.includes(key),
+    };
+  });
+  return { plan: row.plan, capabilities };
+}
+
+/**
+ * Set of capability keys turned on for this customer.
+ */
+async function enabledCapabilities(customerId) {
+  const { capabilities } = await getCapabilities(customerId);
+  return new Set(capabilities.filter(c => c.enabled).map(c => c.key));
+}
+
+/**
+ * Throws if the tool belongs to a capability that is off for this customer.
+ */
+async function assertToolEnabled(customerId, tool) {
+  if (!tool.capability) return;
+  const enabled = await enabledCapabilities(customerId);
+  if (!enabled.has(tool.capability)) {
+    throw new Error(`${CAPABILITIES[tool.capability]} is turned off for this account`);
+  }
+}
+
+// ── Settings ────────────────────────────────────────────────────────────────
+
+/**
+ * Customer switch (portal). Returns an error message, or null.
+ */
+function validateDisabled(disabled) {
+  if (!Array.isArray(disabled)) return 'disabled must be an array of capabilities';
+  const unknown = unknownCapabilities(disabled);
+  return unknown.length ? `Unknown capabilities: ${unknown.join(', ')}` : null;
+}
+
+async function setCustomerDisabled(customerId, disabled) {
+  const error = validateDisabled(disabled);
+  if (error) throw new Error(error);
+  await pool.query(
+    `INSERT INTO customer_profiles (customer_id, disabled_capabilities) VALUES ($2, $1)
+     ON CONFLICT (customer_id) DO UPDATE SET disabled_capabilities = $1, updated_at = NOW()`,
+    [JSON.stringify([...new Set(disabled)]), customerId]
+  );
+  return getCapabilities(customerId);
+}
+
+/**
+ * Admin override — { capability: true|false|null }, null clears it back to
+ * the plan default. Returns an error message, or null.
+ */
+function validateOverrides(overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) return 'overrides must be an object';
+  const unknown = unknownCapabilities(Object.keys(overrides));
+  if (unknown.length) return `Unknown capabilities: ${unknown.join(', ')}`;
+  const bad = Object.entries(overrides).find(([, value]) => value !== null && typeof value !== 'boolean');
+  return bad ? `${bad[0]} must be true, false or null` : null;
+}
+
+async function setCustomerOverrides(customerId, overrides) {
+  const error = validateOverrides(overrides);
+  if (error) throw new Error(error);
+
+  const current = await pool.query('SELECT capability_overrides FROM customers WHERE id = $1', [customerId]);
+  const merged = { ...(current.rows[0]?.capability_overrides || {}) };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === null) delete merged[key];
+    else merged[key] = value;
+  }
+  await pool.query(
+    'UPDATE customers SET capability_overrides = $1, updated_at = NOW() WHERE id = $2',
+    [JSON.stringify(merged), customerId]
+  );
+  return getCapabilities(customerId);
+}
+
+async function getPlanCapabilities(plan) {
+  const result = await pool.query('SELECT disabled_capabilities FROM plan_capabilities WHERE plan = $1', [plan]);
+  const disabled = asList(result.rows[0]?.disabled_capabilities);
+  return Object.entries(CAPABILITIES).map(([key, label]) => ({ key, label, enabled: !disabled.includes(key) }));
+}
+
+async function setPlanDisabled(plan, disabled) {
+  const error = validateDisabled(disabled);
+  if (error) throw new Error(error);
+  await pool.query(
+    `INSERT INTO plan_capabilities (plan, disabled_capabilities) VALUES ($1, $2)
+     ON CONFLICT (plan) DO UPDATE SET disabled_capabilities = $2, updated_at = NOW()`,
+    [plan, JSON.stringify([...new Set(disabled)])]
+  );
+  return getPlanCapabilities(plan);
+}
+
+module.exports = {
+  CAPABILITIES,
+  getCapabilities,
+  enabledCapabilities,
+  assertToolEnabled,
+  validateDisabled,
+  validateOverrides,
+  setCustomerDisabled,
+  setCustomerOverrides,
+  getPlanCapabilities,
+  setPlanDisabled,
+};
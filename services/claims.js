@@ -0,0 +1,141 @@
+/**
+ * Claim verification — checks the final reply against what the turn did.
+ *
+ * Claude sometimes says "I've called the restaurant" without calling, or
+ * "your text was sent" after the tool failed. After the tool loop, a small
+ * verification call reads the reply next to the turn's tool ledger (every
+ * tool call with its input and outcome, failures included) and reports each
+ * action the reply says was done, with a verdict:
+ *
+ *   supported       the ledger shows it succeeded
+ *   not_attempted   no matching tool call — services/assistant.js asks
+ *                   Claude to actually do it, through the normal tool loop
+ *   failed          the matching call failed
+ *   pending         it is awaiting approval or still running in the background
+ *
+ * Failed and pending claims (and not_attempted ones that survive the re-run)
+ * get a corrected reply. The check fails open: if the verification call
+ * errors, the reply goes out unchanged.
+ */
+
+const VERDICTS = ['supported', 'not_attempted', 'failed', 'pending'];
+
+const CHECK_TIMEOUT_MS = 15 * 1000;
+
+const CLAIMS_TOOL = {
+  name: 'report_claims',
+  description: 'Report every action the reply says the assistant performed, started or scheduled this turn, checked against the tool ledger.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      claims: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            claim:   { type: 'string', description: 'The action as the reply states it, e.g. "called Nobu to book a table"' },
+            tool:    { type: 'string', description: 'The tool that would perform it, e.g. make_phone_call' },
+            verdict: { type: 'string', enum: VERDICTS },
+          },
+          required: ['claim', 'verdict'],
+        },
+      },
+      corrected_reply: {
+        type: 'string',
+        description: 'Only if a claim is not supported: the reply rewritten to state honestly what happened (failed, not done, or still pending), same tone and language, everything else kept',
+      },
+    },
+    required: ['claims'],
+  },
+};
+
+// ── Ledger ──────────────────────────────────────────────────────────────────
+
+function describeOutcome(entry) {
+  if (!entry.success) return `FAILED${entry.error ? ` (${entry.error.slice(0, 200)})` : ''}`;
+  if (entry.status === 'awaiting_approval') return 'parked — awaiting the customer\'s approval, NOT done';
+  if (entry.status === 'running_in_background') return 'started in the background — NOT finished yet';
+  return 'succeeded';
+}
+
+/**
+ * The turn's tool calls as numbered lines for the verification prompt.
+ */
+function describeLedger(ledger) {
+  if (!ledger.length) return '(no tools were called this turn)';
+  return ledger.map((entry, i) => {
+    const input = entry.input ? ` ${JSON.stringify(entry.input).slice(0, 300)}` : '';
+    return `${i + 1}. ${entry.name}${input} → ${describeOutcome(entry)}`;
+  }).join('\n');
+}
+
+// ── Verification ────────────────────────────────────────────────────────────
+
+/**
+ * Check a reply's claimed actions against the turn's tool ledger.
+ *
+ * @param {number} customerId
+ * @param {{ userMessage: string, reply: string, ledger: Array<{ name, input?, success, status?, error? }> }} turn
+ * @returns {Promise<{ claims, unsupported, notAttempted, correctedReply } | null>} null if the check couldn't run
+ */
+async function verifyClaims(customerId, { userMessage, reply, ledger }) {
+  if (!reply || !reply.trim()) return null;
+
+  const { createMessage } = require('./llm');
+  const { customerTaskModel } = require('./models');
+  try {
+    const response = await createMessage({
+      model: await customerTaskModel(customerId, 'claim_check'),
+      max_tokens: 1024,
+      system: `You audit a personal assistant's reply before it is sent. List every action the reply says the assistant itself performed, started, sent, booked or scheduled during THIS turn (calls, emails, texts, reminders, calendar events, web tasks, purchases, saved memories). Compare each one with the tool ledger — the only record of what actually ran.
+
+Verdicts: "supported" if a ledger entry succeeded for it; "failed" if the matching entry failed; "pending" if it is awaiting approval or still running but the reply says it is done; "not_attempted" if there is no matching entry at all. A reply that honestly says something failed, is waiting for approval, or is still in progress is supported. Ignore offers, plans, questions and things done in earlier turns. Report nothing if the reply claims no actions.
+
+Tool ledger for this turn:
+${describeLedger(ledger)}`,
+      messages: [{
+        role: 'user',
+        content: `Customer's message:\n${String(userMessage || '').slice(0, 2000)}\n\nAssistant's reply:\n${reply.slice(0, 4000)}`,
+      }],
+      tools: [CLAIMS_TOOL],
+      tool_choice: { type: 'tool', name: CLAIMS_TOOL.name },
+    }, { customerId, purpose: 'claim_check', timeoutMs: CHECK_TIMEOUT_MS });
+
+    const call = response.content.find(b => b.type === 'tool_use');
+    const claims = (Array.isArray(call?.input?.claims) ? call.input.claims : [])
+      .filter(c => c && typeof c.claim === 'string' && VERDICTS.includes(c.verdict));
+    const unsupported = claims.filter(c => c.verdict !== 'supported');
+    const correctedReply = typeof call?.input?.corrected_reply === 'string' && call.input.corrected_reply.trim()
+      ? call.input.corrected_reply.trim()
+      : null;
+
+    return { claims, unsupported, notAttempted: unsupported.filter(c => c.verdict === 'not_attempted'), correctedReply };
+  } catch (err) {
+    console.error(`Claim check failed for customer ${customerId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Reply to send when claims aren't backed by the ledger: the verifier's
+ * rewrite, or the original with a plain correction appended.
+ */
+function correctReply(reply, { unsupported, correctedReply }) {
+  if (correctedReply) return correctedReply;
+  const lines = unsupported.map(c => {
+    if (c.verdict === 'failed') return `• ${c.claim} — this failed`;
+    if (c.verdict === 'pending') return `• ${c.claim} — not done yet, still pending`;
+    return `• ${c.claim} — I didn't actually do this`;
+  });
+  return `${reply}\n\n⚠️ Correction:\n${lines.join('\n')}`;
+}
+
+/**
+ * System note asking Claude to perform the actions it only claimed.
+ */
+function retryInstruction(notAttempted) {
+  const list = notAttempted.map(c => `- ${c.claim}${c.tool ? ` (${c.tool})` : ''}`).join('\n');
+  return `[SYSTEM: Your reply claimed actions that no tool performed:\n${list}\nIf the customer asked for them, perform them now with the tools. If you can't, say so honestly instead. Do not claim anything the tool results do not show.]`;
+}
+
+module.exports = { verifyClaims, correctReply, retryInstruction, describeLedger };
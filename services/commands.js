@@ -0,0 +1,149 @@
+/**
+ * WhatsApp slash commands — account control without going through Claude.
+ *
+ * Messages like "/usage" or "/pause" are answered deterministically by the
+ * webhook before the assistant is called: no Claude call, no message-limit
+ * unit, nothing added to conversation history.
+ */
+
+const { pool } = require('../db');
+
+const COMMAND_PATTERN = /^\s*\/([a-z]+)\b\s*(.*)$/is;
+
+const HELP_TEXT = `🛠️ Commands
+/usage — today's usage and limits
+/reminders — your upcoming reminders
+/apps — your connected apps
+/cancel — cancel everything not started yet: requests waiting for your OK and queued tasks (/cancel <task> for one task)
+/reset — start a fresh conversation
+/pause — pause the assistant
+/resume — turn it back on
+/help — this list`;
+
+/**
+ * Parse a slash command. Returns { name, args } or null for normal messages.
+ */
+function parseCommand(text) {
+  const match = COMMAND_PATTERN.exec(text || '');
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), args: match[2].trim() };
+}
+
+// ── Pause ───────────────────────────────────────────────────────────────────
+
+async function isPaused(customerId) {
+  const result = await pool.query('SELECT assistant_paused_at FROM customers WHERE id=$1', [customerId]);
+  return !!result.rows[0]?.assistant_paused_at;
+}
+
+async function setPaused(customerId, paused) {
+  await pool.query(
+    `UPDATE customers SET assistant_paused_at = ${paused ? 'COALESCE(assistant_paused_at, NOW())' : 'NULL'}, updated_at = NOW() WHERE id = $1`,
+    [customerId]
+  );
+}
+
+// ── Commands ────────────────────────────────────────────────────────────────
+
+async function usageCommand(customerId) {
+  const { checkLimit } = require('./usage');
+  const [messages, minutes] = await Promise.all([
+    checkLimit(customerId, 'whatsapp_messages'),
+    checkLimit(customerId, 'call_minutes'),
+  ]);
+  return `📊 Today's usage\nMessages: ${messages.current}/${messages.limit}\nCall minutes: ${Math.round(minutes.current)}/${minutes.limit}\nWeb tasks: unlimited`;
+}
+
+async function remindersCommand(customerId) {
+  const { listReminders, getCustomerTimezone, describeReminder } = require('./reminders');
+  const tz = await getCustomerTimezone(customerId);
+  const reminders = await listReminders(customerId, { limit: 10 });
+  if (!reminders.length) return '⏰ No upcoming reminders.';
+  const lines = reminders.map(r => {
+    const d = describeReminder(r, tz);
+    return `#${d.reminder_id} ${d.local_time} — ${d.message}${d.repeats ? ` (${d.repeats})` : ''}`;
+  });
+  return `⏰ Upcoming reminders\n${lines.join('\n')}`;
+}
+
+async function appsCommand(customerId) {
+  const { getAllConnectedApps } = require('./connected-apps');
+  const apps = await getAllConnectedApps(customerId);
+  if (!apps.length) return '🔌 No apps connected yet — add them from your Kova portal.';
+  const lines = apps.map(a => `• ${a.app_name} (${a.auth_type === 'cookies' ? 'cookies' : 'login'}) — ${a.status || 'connected'}`);
+  return `🔌 Connected apps\n${lines.join('\n')}`;
+}
+
+// Running tasks aren't stopped — a web task may be mid-checkout — so /cancel
+// covers what hasn't started: actions awaiting approval and queued tasks
+async function cancelCommand(customerId, args) {
+  const { listTasks, cancelTask } = require('./tasks');
+  const taskId = parseInt(args.replace(/^#/, ''));
+
+  if (!taskId) {
+    const { listPendingActions, rejectAction } = require('./approvals');
+    const [pending, queued, running] = await Promise.all([
+      listPendingActions(customerId, { status: 'pending', limit: 20 }),
+      listTasks(customerId, { status: 'queued', limit: 20 }),
+      listTasks(customerId, { status: 'running', limit: 10 }),
+    ]);
+    const lines = [];
+    for (const action of pending) {
+      if (await rejectAction(customerId, action.id)) lines.push(`❌ ${action.summary} (was waiting for your OK)`);
+    }
+    for (const task of queued) {
+      if ((await cancelTask(customerId, task.id))?.cancelled) lines.push(`❌ #${task.id} ${task.description}`);
+    }
+    lines.push(...running.map(t => `⏳ #${t.id} ${t.description} (already running — can't be stopped)`));
+    if (!lines.length) return 'Nothing to cancel right now.';
+    return lines.join('\n');
+  }
+
+  const outcome = await cancelTask(customerId, taskId);
+  if (!outcome) return `I couldn't find task #${taskId}.`;
+  if (outcome.cancelled) return `❌ Cancelled task #${taskId}: ${outcome.task.description}`;
+  return `Task #${taskId} is already ${outcome.task.status}${outcome.task.status === 'running' ? ' and can\'t be stopped' : ''}.`;
+}
+
+async function resetCommand(customerId) {
+  const { startNewThread } = require('./threads');
+  await startNewThread(customerId, 'reset');
+  return '🧹 Fresh start — I\'ve cleared our conversation context. Things you asked me to remember are kept.';
+}
+
+async function pauseCommand(customerId) {
+  await setPaused(customerId, true);
+  return '⏸️ Paused. I won\'t respond to messages until you send /resume. Reminders and tasks already running still arrive.';
+}
+
+async function resumeCommand(customerId) {
+  await setPaused(customerId, false);
+  return '▶️ I\'m back — how can I help?';
+}
+
+const COMMANDS = {
+  help:      () => HELP_TEXT,
+  usage:     usageCommand,
+  reminders: remindersCommand,
+  apps:      appsCommand,
+  cancel:    cancelCommand,
+  reset:     resetCommand,
+  pause:     pauseCommand,
+  resume:    resumeCommand,
+};
+
+/**
+ * Run a parsed command for a customer and return the reply text.
+ */
+async function runCommand(customerId, { name, args }) {
+  const handler = COMMANDS[name];
+  if (!handler) return `Unknown command /${name}.\n\n${HELP_TEXT}`;
+  try {
+    return await handler(customerId, args);
+  } catch (err) {
+    console.error(`Command /${name} failed for customer ${customerId}:`, err.message);
+    return `Sorry, /${name} failed. Please try again.`;
+  }
+}
+
+module.exports = { parseCommand, runCommand, isPaused };
@@ -0,0 +1,69 @@
+/**
+ * ICS — builds iCalendar (.ics) invites that the customer can add to any
+ * calendar app with one tap, no Google Calendar connection needed.
+ */
+
+const crypto = require('crypto');
+
+// 20260115T193000Z
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// RFC 5545 text escaping
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines
+function foldLine(line) {
+  const parts = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 74;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 74) cut--;
+    parts.push(rest.slice(0, cut));
+    rest = ' ' + rest.slice(cut);
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+}
+
+/**
+ * Build a single-event .ics file.
+ *
+ * @param {object} event
+ * @param {string} event.summary
+ * @param {Date}   event.start
+ * @param {Date}   [event.end]         - Defaults to one hour after start
+ * @param {string} [event.location]
+ * @param {string} [event.description]
+ * @returns {Buffer}
+ */
+function buildIcs({ summary, start, end, location, description }) {
+  const endDate = end || new Date(start.getTime() + 60 * 60 * 1000);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Kova//Assistant//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${crypto.randomUUID()}@kova`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(endDate)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    location && `LOCATION:${escapeText(location)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].filter(Boolean);
+  return Buffer.from(lines.map(foldLine).join('\r\n') + '\r\n');
+}
+
+module.exports = { buildIcs };
@@ -0,0 +1,152 @@
+/**
+ * Claude API wrapper — every Anthropic call goes through createMessage().
+ *
+ * Records input/output/cache tokens and the computed cost of each call in
+ * `llm_usage` (tagged with the customer and what the call was for), so the
+ * admin dashboard can show what each customer costs.
+ *
+ * Prompt caching: cachedSystem() / cachedTools() mark the system prompt and
+ * tool definitions as cacheable, so the tool-use loop in services/assistant.js
+ * pays full price for them once per turn instead of on every iteration.
+ */
+
+const { pool } = require('../db');
+const { PRICING } = require('./models');
+
+let _anthropic = null;
+function getAnthropic() {
+  if (!_anthropic) {
+    const Anthropic = require('@anthropic-ai/sdk');
+    _anthropic = new Anthropic();
+  }
+  return _anthropic;
+}
+
+const unpricedWarned = new Set();
+
+/**
+ * Cost of one call in USD — null for models missing from PRICING
+ * (services/models.js), so they show up as unpriced rather than free.
+ */
+function computeCost(model, usage = {}) {
+  const price = PRICING[model];
+  if (!price) {
+    if (!unpricedWarned.has(model)) {
+      unpricedWarned.add(model);
+      console.warn(`⚠️ No pricing for model ${model} — its usage is recorded without a cost`);
+    }
+    return null;
+  }
+  return (
+    (usage.input_tokens || 0) * price.input +
+    (usage.output_tokens || 0) * price.output +
+    (usage.cache_creation_input_tokens || 0) * price.cacheWrite +
+    (usage.cache_read_input_tokens || 0) * price.cacheRead
+  ) / 1e6;
+}
+
+/**
+ * System prompt as a cacheable block, plus an optional uncached block after
+ * the breakpoint for text that changes between calls (the current time).
+ */
+function cachedSystem(text, uncached = '') {
+  const blocks = [{ type: 'text', text, cache_control: { type: 'ephemeral' } }];
+  if (uncached) blocks.push({ type: 'text', text: uncached });
+  return blocks;
+}
+
+/**
+ * Tool definitions with a cache breakpoint after the last one.
+ */
+function cachedTools(tools) {
+  if (!tools.length) return tools;
+  const last = tools[tools.length - 1];
+  return [...tools.slice(0, -1), { ...last, cache_control: { type: 'ephemeral' } }];
+}
+
+function recordUsage(customerId, purpose, model, usage = {}) {
+  if (!usage) return;
+  pool.query(
+    `INSERT INTO llm_usage
+       (customer_id, purpose, model, input_tokens, output_tokens,
+        cache_creation_input_tokens, cache_read_input_tokens, cost_usd)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [customerId || null, purpose, model,
+      usage.input_tokens || 0, usage.output_tokens || 0,
+      usage.cache_creation_input_tokens || 0, usage.cache_read_input_tokens || 0,
+      computeCost(model, usage)]
+  ).catch(err => console.error('LLM usage record error:', err.message));
+}
+
+/**
+ * messages.create() plus usage accounting.
+ *
+ * @param {object} params - Passed straight to the Anthropic SDK
+ * @param {{ customerId?: number, purpose: string, timeoutMs?: number }} meta - purpose e.g. 'assistant', 'call_summary'
+ */
+async function createMessage(params, { customerId = null, purpose = 'other', timeoutMs = null } = {}) {
+  const response = await getAnthropic().messages.create(params, timeoutMs ? { timeout: timeoutMs } : undefined);
+  recordUsage(customerId, purpose, params.model, response.usage);
+  return response;
+}
+
+// ── Reporting (admin) ───────────────────────────────────────────────────────
+
+/**
+ * One customer's Claude usage over the last `days` days: totals, and
+ * breakdowns by purpose/model and by day.
+ */
+async function getLlmUsage(customerId, { days = 30 } = {}) {
+  const totals = `COUNT(*)::int AS calls,
+                  COALESCE(SUM(input_tokens), 0)::int AS input_tokens,
+                  COALESCE(SUM(output_tokens), 0)::int AS output_tokens,
+                  COALESCE(SUM(cache_creation_input_tokens), 0)::int AS cache_creation_input_tokens,
+                  COALESCE(SUM(cache_read_input_tokens), 0)::int AS cache_read_input_tokens,
+                  COALESCE(SUM(cost_usd), 0)::float AS cost_usd,
+                  COUNT(*) FILTER (WHERE cost_usd IS NULL)::int AS unpriced_calls`;
+  const where = `WHERE customer_id = $1 AND created_at > NOW() - make_interval(days => $2)`;
+
+  const [total, byPurpose, byDay] = await Promise.all([
+    pool.query(`SELECT ${totals} FROM llm_usage ${where}`, [customerId, days]),
+    pool.query(
+      `SELECT purpose, model, ${totals} FROM llm_usage ${where}
+       GROUP BY purpose, model ORDER BY cost_usd DESC`,
+      [customerId, days]
+    ),
+    pool.query(
+      `SELECT DATE(created_at) AS day, ${totals} FROM llm_usage ${where}
+       GROUP BY DATE(created_at) ORDER BY day DESC`,
+      [customerId, days]
+    ),
+  ]);
+  return { days, ...total.rows[0], by_purpose: byPurpose.rows, by_day: byDay.rows };
+}
+
+/**
+ * Cost per customer for an admin's customers over the last `days` days.
+ */
+async function getLlmUsageByCustomer(adminId, { days = 30 } = {}) {
+  const result = await pool.query(
+    `SELECT c.id AS customer_id, c.name,
+            COUNT(u.id)::int AS calls,
+            COALESCE(SUM(u.input_tokens + u.cache_creation_input_tokens + u.cache_read_input_tokens), 0)::int AS input_tokens,
+            COALESCE(SUM(u.output_tokens), 0)::int AS output_tokens,
+            COALESCE(SUM(u.cost_usd), 0)::float AS cost_usd
+     FROM customers c
+     LEFT JOIN llm_usage u ON u.customer_id = c.id AND u.created_at > NOW() - make_interval(days => $2)
+     WHERE c.admin_id = $1
+     GROUP BY c.id, c.name
+     ORDER BY cost_usd DESC`,
+    [adminId, days]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  computeCost,
+  cachedSystem,
+  cachedTools,
+  createMessage,
+  getLlmUsage,
+  getLlmUsageByCustomer,
+};
@@ -0,0 +1,115 @@
+/**
+ * Media store — files we send out as WhatsApp attachments (generated
+ * images, tickets, calendar invites, voice replies).
+ *
+ * Twilio fetches outbound media from a public URL, so files are kept in
+ * Postgres and served by routes/media.js behind a signed, expiring link:
+ *   {MASTER_API_URL}/media/<id>?exp=<unix seconds>&sig=<hmac>
+ * Expired rows are swept periodically.
+ *
+ * Tools return attachments as `{ url, contentType, filename }` in an
+ * `attachments` array on their result; handleMessage passes them through
+ * to the channel.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../db');
+
+// WhatsApp's own cap on media size
+const MAX_MEDIA_BYTES = 16 * 1024 * 1024;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+function getSigningSecret() {
+  const secret = process.env.MEDIA_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('MEDIA_SIGNING_SECRET (or JWT_SECRET) not configured');
+  return secret;
+}
+
+function sign(id, exp) {
+  return crypto.createHmac('sha256', getSigningSecret()).update(`${id}.${exp}`).digest('base64url');
+}
+
+/**
+ * Build a signed public URL for a stored file, valid until `expiresAt`.
+ */
+function signedMediaUrl(id, expiresAt) {
+  const exp = Math.floor(new Date(expiresAt).getTime() / 1000);
+  return `${process.env.MASTER_API_URL}/media/${id}?exp=${exp}&sig=${sign(id, exp)}`;
+}
+
+/**
+ * Check a media link's signature and expiry. Constant-time comparison.
+ */
+function verifyMediaSignature(id, exp, sig) {
+  const expSeconds = parseInt(exp);
+  if (!expSeconds || !sig || expSeconds * 1000 < Date.now()) return false;
+  const expected = Buffer.from(sign(id, expSeconds));
+  const given = Buffer.from(String(sig));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// ── Store / fetch ───────────────────────────────────────────────────────────
+
+/**
+ * Save a file and return it as an attachment with a signed URL.
+ *
+ * @param {number} customerId
+ * @param {object} file
+ * @param {Buffer} file.buffer
+ * @param {string} file.contentType
+ * @param {string} file.filename
+ * @param {number} [file.ttlMs] - How long the link stays valid (default 24h)
+ * @returns {{ url, contentType, filename }}
+ */
+async function storeMedia(customerId, { buffer, contentType, filename, ttlMs = DEFAULT_TTL_MS }) {
+  if (!buffer?.length) throw new Error('Empty media file');
+  if (buffer.length > MAX_MEDIA_BYTES) throw new Error(`Media too large (${buffer.length} bytes)`);
+
+  const id = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + ttlMs);
+  await pool.query(
+    `INSERT INTO media_files (id, customer_id, filename, content_type, size_bytes, data, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [id, customerId, filename, contentType, buffer.length, buffer, expiresAt]
+  );
+  return { url: signedMediaUrl(id, expiresAt), contentType, filename };
+}
+
+/**
+ * Load a stored file for serving. Returns null if missing or expired.
+ */
+async function getMedia(id) {
+  const result = await pool.query(
+    `SELECT filename, content_type, data FROM media_files WHERE id = $1 AND expires_at > NOW()`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+// ── Expiry sweep ────────────────────────────────────────────────────────────
+
+async function sweepExpiredMedia() {
+  try {
+    const result = await pool.query('DELETE FROM media_files WHERE expires_at < NOW()');
+    if (result.rowCount) console.log(`🧹 Removed ${result.rowCount} expired media files`);
+  } catch (err) {
+    console.error('Media sweep error:', err.message);
+  }
+}
+
+let sweepTimer = null;
+
+/**
+ * Start the periodic sweep of expired media. Call once after initDB().
+ */
+function startMediaSweep() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(sweepExpiredMedia, SWEEP_INTERVAL_MS);
+  sweepExpiredMedia();
+}
+
+module.exports = {
+  storeMedia, getMedia,
+  signedMediaUrl, verifyMediaSignature, startMediaSweep,
+};
@@ -0,0 +1,196 @@
+/**
+ * Long-term memory — durable facts plus a rolling conversation summary.
+ *
+ * Facts ("daughter's name is Ana", "allergic to sesame") live in the
+ * `memories` table, written by the remember/forget tools or the portal,
+ * and are injected into the system prompt next to the profile document.
+ *
+ * Conversation history is compacted per thread (services/threads.js): once
+ * the unsummarized tail of the thread grows past COMPACT_AFTER_ROWS /
+ * COMPACT_AFTER_CHARS, all but the most recent turns are folded into the
+ * thread's rolling summary by a summarization call, and history only loads
+ * rows after that point.
+ */
+
+const { pool } = require('../db');
+
+const MAX_FACT_LENGTH = 500;
+const MAX_PROMPT_MEMORIES = 50;
+
+const COMPACT_AFTER_ROWS = 40;
+const COMPACT_AFTER_CHARS = 60 * 1000;
+const KEEP_RECENT_ROWS = 20;
+// Per-row cap in the summarization transcript — tool-heavy rows can be huge
+const SUMMARY_ROW_CHARS = 2000;
+
+// ── Facts ───────────────────────────────────────────────────────────────────
+
+/**
+ * Store a fact. Re-remembering the same fact just refreshes it.
+ *
+ * @returns {{ id, content, category, created_at, updated_at }}
+ */
+async function addMemory(customerId, content, { category = null, source = 'assistant' } = {}) {
+  const fact = String(content || '').trim();
+  if (!fact) throw new Error('Memory is empty');
+  if (fact.length > MAX_FACT_LENGTH) throw new Error(`Memory too long (max ${MAX_FACT_LENGTH} characters)`);
+
+  const existing = await pool.query(
+    `UPDATE memories SET updated_at = NOW(), category = COALESCE($3, category)
+     WHERE customer_id = $1 AND LOWER(content) = LOWER($2)
+     RETURNING id, content, category, source, created_at, updated_at`,
+    [customerId, fact, category]
+  );
+  if (existing.rows[0]) return existing.rows[0];
+
+  const result = await pool.query(
+    `INSERT INTO memories (customer_id, content, category, source)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, content, category, source, created_at, updated_at`,
+    [customerId, fact, category, source]
+  );
+  return result.rows[0];
+}
+
+/**
+ * List facts, newest first. With a query, only facts matching any of its
+ * words, best matches first — none if the query has no searchable words
+ * (never "everything", as forget deletes a single match).
+ */
+async function listMemories(customerId, { query = null, limit = 100 } = {}) {
+  const text = String(query || '').trim();
+  const words = text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(w => w.length > 2);
+  if (text && !words.length) return [];
+  if (!words.length) {
+    const result = await pool.query(
+      `SELECT id, content, category, source, created_at, updated_at FROM memories
+       WHERE customer_id = $1 ORDER BY updated_at DESC LIMIT $2`,
+      [customerId, limit]
+    );
+    return result.rows;
+  }
+
+  const result = await pool.query(
+    `SELECT id, content, category, source, created_at, updated_at FROM memories
+     WHERE customer_id = $1 AND content ILIKE ANY($2)
+     ORDER BY updated_at DESC LIMIT 500`,
+    [customerId, words.map(w => `%${w}%`)]
+  );
+  const score = m => words.filter(w => m.content.toLowerCase().includes(w)).length;
+  return result.rows.sort((a, b) => score(b) - score(a)).slice(0, limit);
+}
+
+async function deleteMemory(customerId, id) {
+  const result = await pool.query(
+    'DELETE FROM memories WHERE id = $1 AND customer_id = $2 RETURNING id, content',
+    [id, customerId]
+  );
+  return result.rows[0] || null;
+}
+
+// ── Rolling summary ─────────────────────────────────────────────────────────
+
+/**
+ * Load what goes into the prompt: facts, and the summary of the thread's
+ * older turns. summarizedThroughId = last conversation row the summary covers.
+ */
+async function loadMemory(customerId, thread) {
+  const facts = await listMemories(customerId, { limit: MAX_PROMPT_MEMORIES });
+  return {
+    facts,
+    summary: thread?.summary || null,
+    summarizedThroughId: thread?.summarized_through_id || 0,
+  };
+}
+
+/**
+ * System prompt section for facts and summary ('' when there are none).
+ */
+function buildMemoryBlock({ facts = [], summary = null } = {}) {
+  let block = '';
+  if (facts.length) {
+    block += `\n═══ THINGS YOU REMEMBER ABOUT THE CUSTOMER ═══\n\n${facts.map(f => `- [#${f.id}] ${f.content}`).join('\n')}\n\nUse these like the profile. Save new lasting facts with remember; remove wrong or outdated ones with forget.\n`;
+  }
+  if (summary) {
+    block += `\n═══ EARLIER CONVERSATION (SUMMARY) ═══\n\n${summary}\n`;
+  }
+  return block;
+}
+
+const compacting = new Set();
+
+// Wrapped web/task output is left out: the summary goes into the system
+// prompt as trusted text (services/untrusted.js)
+function transcriptLine(row) {
+  const { stripUntrusted } = require('./untrusted');
+  const content = stripUntrusted(row.content);
+  const text = content.length > SUMMARY_ROW_CHARS
+    ? `${content.slice(0, SUMMARY_ROW_CHARS)} …[truncated]`
+    : content;
+  return `${row.role === 'user' ? 'CUSTOMER' : 'ASSISTANT'}: ${text}`;
+}
+
+/**
+ * Fold a thread's older turns into its rolling summary once the
+ * unsummarized tail is too long. Keeps the most recent turns verbatim. Safe
+ * to call after every turn — it returns quickly when there is nothing to
+ * do, and never throws.
+ */
+async function compactConversation(customerId, threadId) {
+  if (!threadId || compacting.has(threadId)) return;
+  compacting.add(threadId);
+  try {
+    const thread = await pool.query(
+      'SELECT summary, summarized_through_id FROM conversation_threads WHERE id = $1',
+      [threadId]
+    );
+    const summary = thread.rows[0]?.summary || null;
+    const result = await pool.query(
+      `SELECT id, role, content FROM conversations
+       WHERE thread_id = $1 AND id > $2
+       ORDER BY id ASC`,
+      [threadId, thread.rows[0]?.summarized_through_id || 0]
+    );
+    const rows = result.rows;
+    const chars = rows.reduce((n, r) => n + r.content.length, 0);
+    if (rows.length <= COMPACT_AFTER_ROWS && chars <= COMPACT_AFTER_CHARS) return;
+
+    // Keep the recent tail, starting on a customer message so the history
+    // we load afterwards still opens with a user turn
+    let split = Math.max(1, rows.length - KEEP_RECENT_ROWS);
+    while (split < rows.length && rows[split].role !== 'user') split++;
+    const older = rows.slice(0, split);
+    if (!older.length || split >= rows.length) return;
+
+    const { createMessage } = require('./llm');
+    const { customerTaskModel } = require('./models');
+    const response = await createMessage({
+      model: await customerTaskModel(customerId, 'conversation_summary'),
+      max_tokens: 1024,
+      system: 'You maintain the running memory of a conversation between a personal assistant and its customer. Write a concise summary (under 300 words) of everything still useful later: open tasks and promises, bookings and orders with dates and confirmation numbers, decisions made, people and places mentioned, stated preferences. Drop greetings and chit-chat. Plain text, no preamble.',
+      messages: [{
+        role: 'user',
+        content: `${summary ? `Summary so far:\n${summary}\n\n` : ''}New conversation to fold in:\n\n${older.map(transcriptLine).join('\n\n')}`,
+      }],
+    }, { customerId, purpose: 'conversation_summary' });
+    const newSummary = response.content.filter(b => b.type === 'text').map(b => b.text).join('\n').trim();
+    if (!newSummary) return;
+
+    const throughNew = older[older.length - 1].id;
+    await pool.query(
+      `UPDATE conversation_threads SET summary = $2, summarized_through_id = $3
+       WHERE id = $1 AND summarized_through_id < $3`,
+      [threadId, newSummary, throughNew]
+    );
+    console.log(`🧠 Compacted ${older.length} messages of thread #${threadId} (customer ${customerId}) into summary`);
+  } catch (err) {
+    console.error(`Conversation compaction failed for customer ${customerId}:`, err.message);
+  } finally {
+    compacting.delete(threadId);
+  }
+}
+
+module.exports = {
+  addMemory, listMemories, deleteMemory,
+  loadMemory, buildMemoryBlock, compactConversation,
+};
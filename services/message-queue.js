@@ -0,0 +1,71 @@
+/**
+ * Message queue — serializes inbound messages per conversation and merges
+ * bursts into a single assistant turn.
+ *
+ * WhatsApp users often send several short texts in a row ("book Nobu" /
+ * "actually make it 8pm"). Handling each one concurrently makes them race
+ * over the same history and interleave replies. Instead, messages are
+ * buffered per key; once the sender has been quiet for DEBOUNCE_MS (or
+ * MAX_WAIT_MS has passed since the first buffered message) the batch is
+ * handed to the handler. Only one batch per key is processed at a time —
+ * anything arriving meanwhile becomes the next batch.
+ *
+ * State is in-memory: this serializes within one API process, which is how
+ * the service is deployed.
+ */
+
+const DEBOUNCE_MS = parseInt(process.env.MESSAGE_DEBOUNCE_MS) || 2500;
+const MAX_WAIT_MS = 10 * 1000;
+
+// key → { items, firstAt, timer, running, handler }
+const queues = new Map();
+
+function schedule(key, queue) {
+  clearTimeout(queue.timer);
+  const wait = Math.max(0, Math.min(DEBOUNCE_MS, queue.firstAt + MAX_WAIT_MS - Date.now()));
+  queue.timer = setTimeout(() => flush(key, queue), wait);
+}
+
+async function flush(key, queue) {
+  queue.timer = null;
+  // Still busy with the previous batch — it re-schedules when done
+  if (queue.running || !queue.items.length) return;
+
+  const batch = queue.items.splice(0);
+  queue.running = true;
+  try {
+    await queue.handler(batch);
+  } catch (err) {
+    console.error(`Message queue handler error (${key}):`, err.message);
+  } finally {
+    queue.running = false;
+    // Messages that arrived while we were busy already have firstAt set
+    if (queue.items.length) {
+      if (!queue.timer) schedule(key, queue);
+    } else {
+      queues.delete(key);
+    }
+  }
+}
+
+/**
+ * Buffer a message. `handler(batch)` is called with the buffered items (in
+ * arrival order) once the burst settles, never concurrently for one key.
+ *
+ * @param {string}   key     - Conversation key, e.g. sender + recipient number
+ * @param {*}        item    - Whatever the handler needs for one message
+ * @param {Function} handler - async (items[]) => void
+ */
+function enqueueMessage(key, item, handler) {
+  let queue = queues.get(key);
+  if (!queue) {
+    queue = { items: [], firstAt: 0, timer: null, running: false, handler };
+    queues.set(key, queue);
+  }
+  if (!queue.items.length) queue.firstAt = Date.now();
+  queue.handler = handler;
+  queue.items.push(item);
+  schedule(key, queue);
+}
+
+module.exports = { enqueueMessage };
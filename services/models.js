@@ -0,0 +1,144 @@
+/**
+ * Model configuration and per-turn routing.
+ *
+ * Two tiers: `fast` (cheap, for small talk and simple lookups) and `smart`
+ * (for anything that acts on the customer's behalf or takes several steps).
+ * Helper calls — summaries, extraction, live phone calls — use a fixed tier
+ * from TASK_TIERS.
+ *
+ * For WhatsApp turns, routeTurn() picks a starting tier from the message.
+ * A fast turn escalates to smart as soon as the model reaches for a tool
+ * outside FAST_TOOLS, or needs more than MAX_FAST_TOOL_ROUNDS rounds of
+ * lookups — before anything is executed.
+ *
+ * Plans can pin a tier or use different models: PLAN_OVERRIDES below, or
+ * MODEL_PLAN_OVERRIDES='{"assistant":{"routing":"smart"}}' in the env. A
+ * plan's models apply to its helper calls too (customerTaskModel()).
+ *
+ * Prices live here next to the model IDs; add any model set through the env
+ * with MODEL_PRICING='{"claude-...":{"input":3,"output":15,...}}'.
+ */
+
+const MODELS = {
+  fast:  process.env.MODEL_FAST  || 'claude-haiku-4-5-20251001',
+  smart: process.env.MODEL_SMART || 'claude-sonnet-4-5-20250929',
+};
+
+const MAX_TOKENS = { fast: 1024, smart: 4096 };
+
+// USD per million tokens. Cache writes cost 1.25× input, cache reads 0.1×.
+const PRICING = {
+  'claude-sonnet-4-5-20250929': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.30 },
+  'claude-haiku-4-5-20251001':  { input: 1, output: 5,  cacheWrite: 1.25, cacheRead: 0.10 },
+  ...parseEnvJson('MODEL_PRICING'),
+};
+
+// Tier for each non-conversational call (the llm_usage purpose)
+const TASK_TIERS = {
+  conversation_summary:  'fast',
+  preference_extraction: 'fast',
+  call_summary:          'fast',
+  voice_call:            'fast',
+  claim_check:           'fast',
+  openclaw:              'smart',
+};
+
+// Read-only tools a fast turn may use without escalating
+const FAST_TOOLS = new Set([
+  'get_weather', 'web_search', 'list_calendar_events', 'list_reminders', 'get_task_status', 'recall',
+]);
+const MAX_FAST_TOOL_ROUNDS = 2;
+
+// plan → { routing: 'auto'|'fast'|'smart', fast?: model, smart?: model }
+const PLAN_OVERRIDES = {
+  assistant: { routing: 'auto' },
+  ...parseEnvJson('MODEL_PLAN_OVERRIDES'),
+};
+
+function parseEnvJson(name) {
+  const json = process.env[name];
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    console.error(`Invalid ${name} (ignored):`, err.message);
+    return {};
+  }
+}
+
+const SMALL_TALK = /^(\s*(hi|hey|hello|hiya|yo|thanks|thank you|thx|ty|cheers|ok|okay|k|cool|great|nice|perfect|awesome|got it|sounds good|yes|yeah|yep|no|nope|sure|lol|haha|good (morning|afternoon|evening|night)|bye|see you|👍|🙏|❤️|😊|😂)[\s!.,?]*)+$/i;
+const QUESTION = /^\s*(what|what's|whats|when|where|who|is|are|do i|did|will it|how (much|many|long|hot|cold))\b/i;
+const ACTION = /\b(book|reserve|call|phone|ring|email|e-mail|text|message|send|remind|schedule|cancel|order|buy|pay|plan|compare|research|draft|write|invite|create|add|delete|remove|update|change|move|generate|draw|image|picture|log ?in|sign ?up|fill|apply|remember|forget|voice)\b/i;
+const MAX_LOOKUP_LENGTH = 160;
+
+function modelFor(tier, plan) {
+  return PLAN_OVERRIDES[plan]?.[tier] || MODELS[tier];
+}
+
+/**
+ * Model for a helper call, by llm_usage purpose — the plan's model for that
+ * tier if it overrides one.
+ */
+function taskModel(purpose, plan = null) {
+  return modelFor(TASK_TIERS[purpose] || 'smart', plan);
+}
+
+/**
+ * taskModel() for the plan of the customer the call is made for.
+ */
+async function customerTaskModel(customerId, purpose) {
+  if (!customerId) return taskModel(purpose);
+  const { pool } = require('../db');
+  const result = await pool.query('SELECT plan FROM customers WHERE id=$1', [customerId]);
+  return taskModel(purpose, result.rows[0]?.plan);
+}
+
+function route(tier, plan, reason) {
+  return { tier, model: modelFor(tier, plan), maxTokens: MAX_TOKENS[tier], reason };
+}
+
+/**
+ * Pick the starting tier for a WhatsApp turn.
+ *
+ * @returns {{ tier, model, maxTokens, reason }}
+ */
+function routeTurn(plan, { text = '', hasMedia = false } = {}) {
+  const pinned = PLAN_OVERRIDES[plan]?.routing;
+  if (pinned === 'fast' || pinned === 'smart') return route(pinned, plan, `plan ${plan}`);
+
+  if (hasMedia) return route('smart', plan, 'attachments');
+  if (SMALL_TALK.test(text)) return route('fast', plan, 'small talk');
+  if (text.length <= MAX_LOOKUP_LENGTH && !text.includes('\n') && QUESTION.test(text) && !ACTION.test(text)) {
+    return route('fast', plan, 'simple lookup');
+  }
+  return route('smart', plan, 'task');
+}
+
+function canEscalate(current, plan) {
+  return current.tier === 'fast' && PLAN_OVERRIDES[plan]?.routing !== 'fast';
+}
+
+/**
+ * Why a fast turn must move to the smart model before running these tool
+ * calls — or null to carry on. Plans pinned to fast never escalate.
+ *
+ * @param {Array} toolUses - tool_use blocks from the fast model's response
+ * @param {number} rounds - tool rounds already completed this turn
+ */
+function escalationReason(current, plan, toolUses, rounds) {
+  if (!canEscalate(current, plan)) return null;
+  const heavy = toolUses.find(b => !FAST_TOOLS.has(b.name));
+  if (heavy) return `tool ${heavy.name}`;
+  if (rounds >= MAX_FAST_TOOL_ROUNDS) return `${rounds + 1} tool rounds`;
+  return null;
+}
+
+/**
+ * The smart route for the rest of the turn (unchanged if already smart or
+ * the plan is pinned to fast).
+ */
+function escalate(current, plan, reason) {
+  return canEscalate(current, plan) ? route('smart', plan, `escalated: ${reason}`) : current;
+}
+
+module.exports = { MODELS, PRICING, taskModel, customerTaskModel, routeTurn, escalationReason, escalate };
@@ -0,0 +1,213 @@
+/**
+ * Preference learning — proposes profile updates from what the customer says.
+ *
+ * "I always fly aisle now" shouldn't need a trip to the portal. Each turn,
+ * messages that sound like a lasting preference are run through a small
+ * extraction call that maps them to customer_profiles columns. Changes are
+ * never applied silently: each becomes a pending `update_profile` action
+ * (services/approvals.js), the customer is asked to reply YES / NO with its
+ * number, and an approved change is written with an audit entry in
+ * activity_log.
+ */
+
+const { pool } = require('../db');
+
+// Profile columns the assistant may learn — label for prompts, column size
+const LEARNABLE_FIELDS = {
+  dietary_restrictions:  { label: 'dietary restrictions',  maxLength: 1000 },
+  cuisine_preferences:   { label: 'cuisine preferences',   maxLength: 1000 },
+  preferred_restaurants: { label: 'favourite restaurants', maxLength: 1000 },
+  dining_budget:         { label: 'dining budget',         maxLength: 50 },
+  preferred_airlines:    { label: 'preferred airlines',    maxLength: 1000 },
+  seat_preference:       { label: 'seat preference',       maxLength: 50 },
+  cabin_class:           { label: 'cabin class',           maxLength: 50 },
+  hotel_preferences:     { label: 'hotel preferences',     maxLength: 1000 },
+  delivery_address:      { label: 'delivery address',      maxLength: 1000 },
+};
+
+const PROPOSAL_TIMEOUT_MINUTES = 24 * 60;
+// A rejected suggestion isn't made again for this long
+const REJECTED_COOLDOWN_DAYS = 30;
+
+// Cheap gate so most messages never reach the extraction call
+const PREFERENCE_HINT = /\b(always|never|usually|prefer|from now on|these days|anymore|allergic|allergy|intoleran\w*|vegan|vegetarian|pescatarian|kosher|halal|gluten|dairy|don'?t eat|can'?t eat|aisle|window seat|business class|economy|first class|moved|new address|my address|live at|deliver to|favou?rite|budget|hotel|airline)\b/i;
+
+function describeChange({ field, value, previous }) {
+  const label = LEARNABLE_FIELDS[field]?.label || field;
+  if (!value) return `Clear your ${label}${previous ? ` (was "${previous}")` : ''}`;
+  return `Set your ${label} to "${value}"${previous ? ` (was "${previous}")` : ''}`;
+}
+
+/**
+ * Check an update_profile input. Returns an error message, or null.
+ */
+function validateProfileUpdate({ field, value } = {}) {
+  const spec = LEARNABLE_FIELDS[field];
+  if (!spec) return `Unknown profile field: ${field}. Allowed: ${Object.keys(LEARNABLE_FIELDS).join(', ')}`;
+  if (value != null && typeof value !== 'string') return 'value must be a string';
+  if ((value || '').length > spec.maxLength) return `${spec.label} must be ${spec.maxLength} characters or fewer`;
+  return null;
+}
+
+async function loadLearnableProfile(customerId) {
+  const result = await pool.query(
+    `SELECT ${Object.keys(LEARNABLE_FIELDS).join(', ')} FROM customer_profiles WHERE customer_id=$1`,
+    [customerId]
+  );
+  return result.rows[0] || {};
+}
+
+/**
+ * Write one profile field and record the change in activity_log.
+ *
+ * @param {string} via - 'assistant' (asked directly) or 'suggestion' (approved proposal)
+ */
+async function applyProfileUpdate(customerId, { field, value }, via = 'assistant') {
+  const error = validateProfileUpdate({ field, value });
+  if (error) throw new Error(error);
+
+  const newValue = (value || '').trim() || null;
+  // field is whitelisted above, so it's safe to interpolate
+  const result = await pool.query(
+    `UPDATE customer_profiles p SET ${field} = $1, updated_at = NOW()
+     FROM (SELECT ${field} AS previous FROM customer_profiles WHERE customer_id = $2) old
+     WHERE p.customer_id = $2
+     RETURNING old.previous`,
+    [newValue, customerId]
+  );
+  if (!result.rows.length) throw new Error('Customer profile not found');
+  const previous = result.rows[0].previous ?? null;
+
+  await pool.query(
+    `INSERT INTO activity_log (customer_id, event_type, description, metadata) VALUES ($1, 'profile_updated', $2, $3)`,
+    [customerId, `Profile: ${LEARNABLE_FIELDS[field].label} → ${newValue ?? '(cleared)'}`,
+      JSON.stringify({ field, previous, value: newValue, via })]
+  );
+  return { field, previous, value: newValue };
+}
+
+// ── Extraction ──────────────────────────────────────────────────────────────
+
+const EXTRACTION_TOOL = {
+  name: 'propose_profile_updates',
+  description: 'Report lasting preference changes the customer stated.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      changes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string', enum: Object.keys(LEARNABLE_FIELDS) },
+            value: { type: 'string', description: 'The complete new value for the field (merged with the current value where it adds to it)' },
+          },
+          required: ['field', 'value'],
+        },
+      },
+    },
+    required: ['changes'],
+  },
+};
+
+async function extractChanges(customerId, userMessage, profile) {
+  const current = Object.keys(LEARNABLE_FIELDS)
+    .map(f => `${f}: ${profile[f] || '(empty)'}`)
+    .join('\n');
+
+  const { createMessage } = require('./llm');
+  const { customerTaskModel } = require('./models');
+  const response = await createMessage({
+    model: await customerTaskModel(customerId, 'preference_extraction'),
+    max_tokens: 512,
+    system: `You spot lasting personal preferences in a customer's message to their assistant and map them to profile fields. Only report preferences the customer clearly states about themselves as ongoing ("I always fly aisle now", "I'm vegan", "we moved to 12 Elm St"). Ignore one-off requests ("book me an aisle seat on this flight"), questions, and anything about other people. When a preference adds to an existing value (a new allergy), return the merged value. Report nothing if unsure.\n\nCurrent profile:\n${current}`,
+    messages: [{ role: 'user', content: userMessage.slice(0, 4000) }],
+    tools: [EXTRACTION_TOOL],
+    tool_choice: { type: 'tool', name: EXTRACTION_TOOL.name },
+  }, { customerId, purpose: 'preference_extraction' });
+
+  const call = response.content.find(b => b.type === 'tool_use');
+  return Array.isArray(call?.input?.changes) ? call.input.changes : [];
+}
+
+async function recentlyProposed(customerId, { field, value }) {
+  const result = await pool.query(
+    `SELECT 1 FROM pending_actions
+     WHERE customer_id = $1 AND tool_name = 'update_profile'
+       AND tool_input->>'field' = $2 AND LOWER(tool_input->>'value') = LOWER($3)
+       AND (status = 'pending' OR (status = 'rejected' AND created_at > NOW() - INTERVAL '${REJECTED_COOLDOWN_DAYS} days'))
+     LIMIT 1`,
+    [customerId, field, value]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Look for preference changes in a customer message. Never throws — runs
+ * alongside the main assistant call.
+ *
+ * @returns {{ profile, changes: Array<{field, value}> }}
+ */
+async function findPreferenceChanges(customerId, userMessage) {
+  if (!userMessage || !PREFERENCE_HINT.test(userMessage)) return { profile: {}, changes: [] };
+  try {
+    const profile = await loadLearnableProfile(customerId);
+    return { profile, changes: await extractChanges(customerId, userMessage, profile) };
+  } catch (err) {
+    console.error(`Preference extraction failed for customer ${customerId}:`, err.message);
+    return { profile: {}, changes: [] };
+  }
+}
+
+/**
+ * Park each found change as a pending update_profile action awaiting the
+ * customer's YES. Skips no-ops and suggestions already pending or recently
+ * turned down. Never throws.
+ *
+ * @returns {Array} The created pending actions (empty if nothing to ask)
+ */
+async function proposePreferenceUpdates(customerId, { profile, changes }) {
+  if (!changes.length) return [];
+  try {
+    const { createPendingAction } = require('./approvals');
+    const created = [];
+    for (const change of changes) {
+      const value = String(change.value || '').trim();
+      if (!value || validateProfileUpdate({ field: change.field, value })) continue;
+      const previous = profile[change.field] || null;
+      if (previous && previous.trim().toLowerCase() === value.toLowerCase()) continue;
+      if (await recentlyProposed(customerId, { field: change.field, value })) continue;
+
+      created.push(await createPendingAction(customerId, 'update_profile',
+        { field: change.field, value, previous, source: 'suggestion' }, PROPOSAL_TIMEOUT_MINUTES));
+    }
+    if (created.length) console.log(`💡 Proposed ${created.length} profile update(s) for customer ${customerId}`);
+    return created;
+  } catch (err) {
+    console.error(`Preference proposal failed for customer ${customerId}:`, err.message);
+    return [];
+  }
+}
+
+/**
+ * The WhatsApp prompt for newly proposed profile updates.
+ */
+function formatPreferencePrompt(actions) {
+  if (!actions.length) return '';
+  // Always numbered — a bare YES/NO is left for the conversation (services/approvals.js)
+  if (actions.length === 1) {
+    return `💡 Save to your profile? ${actions[0].summary}\nReply YES ${actions[0].id} to save or NO ${actions[0].id} to skip.`;
+  }
+  const lines = actions.map(a => `#${a.id} ${a.summary}`).join('\n');
+  return `💡 Save these to your profile?\n${lines}\nReply YES <number> or NO <number>.`;
+}
+
+module.exports = {
+  LEARNABLE_FIELDS,
+  describeChange,
+  validateProfileUpdate,
+  applyProfileUpdate,
+  findPreferenceChanges,
+  proposePreferenceUpdates,
+  formatPreferencePrompt,
+};
@@ -91,7 +91,7 @@ async function provisionOpenClawInstance({ customerId, customerName, anthropicAp
     ANTHROPIC_API_KEY:         anthropicApiKey,
     WHATSAPP_NUMBER:           whatsappNumber,
     OPENCLAW_DEFAULT_PROVIDER: 'anthropic',
-    OPENCLAW_DEFAULT_MODEL:    'claude-sonnet-4-5-20250929',
+    OPENCLAW_DEFAULT_MODEL:    await require('./models').customerTaskModel(customerId, 'openclaw'),
     OPENCLAW_SYSTEM_PROMPT:    buildAssistantSystemPrompt(customerName, customerId, masterApiUrl),
     ENABLE_BROWSER_AUTOMATION: 'true',
     ENABLE_WEB_TUI:            'false',
@@ -188,6 +188,34 @@ async function pollForHealth(serviceUrl, timeoutSeconds = 120) {
 
 // ── System prompt ───────────────────────────────────────────────────────────
 
+/**
+ * Tools API reference for the OpenClaw prompt, generated from the tool
+ * registry (services/tools/) so it lists exactly the routes that exist.
+ */
+function describeToolsApi(toolsBase) {
+  const { httpTools } = require('./tools');
+  const entries = httpTools().map(tool => {
+    const { method, path } = tool.http;
+    const pathParams = [...path.matchAll(/:(\w+)/g)].map(m => m[1]);
+    const required = tool.input_schema.required || [];
+    const fields = Object.keys(tool.input_schema.properties || {})
+      .filter(key => !pathParams.includes(key))
+      .map(key => `"${key}"${required.includes(key) ? '' : ' (optional)'}`);
+    const summary = tool.description.split('\n')[0].split(/(?<=\.)\s/)[0];
+    return [
+      `${tool.name.toUpperCase().replace(/_/g, ' ')}`,
+      `   ${method.toUpperCase()} ${toolsBase}${path.replace(/:(\w+)/g, '{$1}')}`,
+      `   ${summary}`,
+      ...(fields.length ? [`   ${method === 'get' ? 'Query' : 'Body'}: ${fields.join(', ')}`] : []),
+    ].join('\n');
+  });
+  entries.push(`CHECK CALL STATUS\n   GET ${toolsBase}/call/{callSid}`);
+  return `${entries.map((e, i) => `${i + 1}. ${e}`).join('\n\n')}
+
+Every endpoint returns JSON; errors come back as { "error": "..." } with a 4xx/5xx status.
+CRITICAL: When you use web search results, you MUST cite the URL of every result you reference.`;
+}
+
 function buildAssistantSystemPrompt(customerName, customerId, masterApiUrl) {
   const toolsBase = `${masterApiUrl}/api/tools/${customerId}`;
 
@@ -205,36 +233,7 @@ You have access to tools via HTTP at ${toolsBase}. To authenticate, read the TOO
 
 Available tools:
 
-1. SEND EMAIL
-   POST ${toolsBase}/email
-   Body: { "to": "email@example.com", "subject": "...", "body": "...", "cc": "..." }
-
-2. MAKE PHONE CALL
-   POST ${toolsBase}/call
-   Body: { "to": "+1234567890", "message": "Text to speak to the recipient" }
-
-3. CHECK CALL STATUS
-   GET ${toolsBase}/call/{callSid}
-
-4. WEB SEARCH (with citations)
-   POST ${toolsBase}/search
-   Body: { "query": "search terms", "count": 5 }
-   Returns: { "results": [{ "title", "url", "snippet" }] }
-   CRITICAL: You MUST cite the URL of every result you reference.
-
-5. FETCH WEBPAGE
-   POST ${toolsBase}/fetch
-   Body: { "url": "https://..." }
-
-6. LIST CALENDAR EVENTS
-   GET ${toolsBase}/calendar?maxResults=10
-
-7. CREATE CALENDAR EVENT
-   POST ${toolsBase}/calendar
-   Body: { "summary": "...", "start": "ISO datetime", "end": "ISO datetime", "location": "...", "description": "..." }
-
-8. DELETE CALENDAR EVENT
-   DELETE ${toolsBase}/calendar/{eventId}
+${describeToolsApi(toolsBase)}
 
 ═══ BROWSER AUTOMATION ═══
 
@@ -0,0 +1,435 @@
+/**
+ * Recipient policy — who the assistant and Tools API may email, text or call.
+ *
+ * Tools that contact people list their recipient fields in the registry
+ * (`recipients` in services/tools/), and executeTool() checks every recipient
+ * against this policy before the tool runs:
+ *
+ *   - emergency and short-code numbers: always blocked
+ *   - premium-rate numbers: always blocked
+ *   - international numbers: blocked unless the admin allows the country
+ *     (or all of them), or the number is a trusted contact
+ *   - trusted-contacts-only mode: nobody else can be contacted
+ *   - new recipients: at most `daily_new_recipients` a day; trusted contacts
+ *     and the customer's own numbers don't count
+ *
+ * Every block is written to `abuse_log`, which admins can review per
+ * customer. Recipients that were contacted successfully are kept in
+ * `outbound_recipients` — that's what makes the next contact "known". A new
+ * recipient's row is reserved (pending) before the tool runs, so parallel
+ * sends can't overshoot the daily cap, and released if the tool fails.
+ */
+
+const { pool } = require('../db');
+const { EMAIL_PATTERN } = require('./util');
+
+const DEFAULT_POLICY = {
+  home_country_code:     process.env.RECIPIENT_HOME_COUNTRY_CODE || '1',
+  allow_international:   false,
+  allowed_country_codes: [],
+  allowlist_only:        false,
+  daily_new_recipients:  parseInt(process.env.RECIPIENT_DAILY_NEW_CAP) || 10,
+};
+
+// Fields the customer can change from the portal — the rest are admin-only
+const CUSTOMER_POLICY_FIELDS = ['allowlist_only'];
+
+// E.164 digits (no +) that reach premium-rate services
+const PREMIUM_PREFIXES = [
+  '1900', '1976',                                 // US/Canada
+  '4490', '4491', '4498', '4487', '4470',         // UK
+  '49900', '49137', '49118',                      // Germany
+  '3389', '39899', '39892', '34803', '34806', '34807', '34905',
+  '41900', '41901', '41906', '611900', '61190', '64900',
+  '3531570', '3531580', '3531590',
+];
+
+// Area codes inside +1 that are billed internationally (Caribbean) — the
+// usual "one-ring" scam numbers
+const NANP_INTERNATIONAL = new Set([
+  '242', '246', '264', '268', '284', '345', '441', '473', '649', '658', '664',
+  '721', '758', '767', '784', '809', '829', '849', '868', '869', '876',
+]);
+
+// ── Recipients ──────────────────────────────────────────────────────────────
+
+/**
+ * Canonical form: lowercase email address, or +digits for phone numbers.
+ */
+function normalizeRecipient(value) {
+  const s = String(value || '').trim().toLowerCase().replace(/^whatsapp:/, '');
+  if (s.includes('@')) return s.replace(/^.*<([^>]+)>.*$/, '$1').trim();
+  const digits = s.replace(/\D/g, '');
+  return digits ? `+${digits}` : '';
+}
+
+/**
+ * Normalized recipients of a tool call, from the fields the tool declares.
+ */
+function recipientsOf(tool, input) {
+  return [...new Set((tool?.recipients || [])
+    .flatMap(field => String(input?.[field] || '').split(/[,;]/))
+    .map(normalizeRecipient)
+    .filter(Boolean))];
+}
+
+function isPhone(recipient) {
+  return recipient.startsWith('+');
+}
+
+/**
+ * Why a number is never contacted ('emergency' / 'premium_rate'), or null.
+ */
+function blockedNumberRule(recipient) {
+  const digits = recipient.slice(1);
+  // 911, 112, 999, 000... and SMS short codes are all this short with a country code
+  if (digits.length <= 6) return 'emergency';
+  if (digits.startsWith('1') && /^[2-9]11/.test(digits.slice(1))) return 'emergency'; // N11 service codes
+  if (PREMIUM_PREFIXES.some(prefix => digits.startsWith(prefix))) return 'premium_rate';
+  return null;
+}
+
+function isInternational(recipient, policy) {
+  const digits = recipient.slice(1);
+  if (policy.allow_international) return false;
+  if (policy.allowed_country_codes.some(code => digits.startsWith(code))) return false;
+  if (!digits.startsWith(policy.home_country_code)) return true;
+  return policy.home_country_code === '1' && NANP_INTERNATIONAL.has(digits.slice(1, 4));
+}
+
+// ── Policy ──────────────────────────────────────────────────────────────────
+
+async function getRecipientPolicy(customerId) {
+  const result = await pool.query('SELECT recipient_policy FROM customer_profiles WHERE customer_id=$1', [customerId]);
+  return { ...DEFAULT_POLICY, ...(result.rows[0]?.recipient_policy || {}) };
+}
+
+/**
+ * Check a policy update. Returns an error message, or null.
+ *
+ * @param {boolean} admin - admins can change every field, customers only CUSTOMER_POLICY_FIELDS
+ */
+function validatePolicyUpdate(update, { admin = false } = {}) {
+  if (!update || typeof update !== 'object' || Array.isArray(update)) return 'policy must be an object';
+  for (const [key, value] of Object.entries(update)) {
+    if (!(key in DEFAULT_POLICY)) return `Unknown policy field: ${key}`;
+    if (!admin && !CUSTOMER_POLICY_FIELDS.includes(key)) return `${key} can only be changed by an admin`;
+    if (value === null) continue;
+    if ((key === 'allow_international' || key === 'allowlist_only') && typeof value !== 'boolean') return `${key} must be true or false`;
+    if (key === 'home_country_code' && !/^[1-9]\d{0,2}$/.test(value)) return 'home_country_code must be 1-3 digits';
+    if (key === 'allowed_country_codes' && !(Array.isArray(value) && value.every(c => /^[1-9]\d{0,2}$/.test(c)))) {
+      return 'allowed_country_codes must be an array of 1-3 digit country codes';
+    }
+    if (key === 'daily_new_recipients' && !(Number.isInteger(value) && value >= 0 && value <= 1000)) {
+      return 'daily_new_recipients must be between 0 and 1000';
+    }
+  }
+  return null;
+}
+
+/**
+ * Merge an update into the stored policy; null resets a field to the default.
+ */
+async function updateRecipientPolicy(customerId, update, { admin = false } = {}) {
+  const error = validatePolicyUpdate(update, { admin });
+  if (error) throw new Error(error);
+
+  const result = await pool.query('SELECT recipient_policy FROM customer_profiles WHERE customer_id=$1', [customerId]);
+  const stored = { ...(result.rows[0]?.recipient_policy || {}) };
+  for (const [key, value] of Object.entries(update)) {
+    if (value === null) delete stored[key];
+    else stored[key] = value;
+  }
+  await pool.query(
+    `INSERT INTO customer_profiles (customer_id, recipient_policy) VALUES ($2, $1)
+     ON CONFLICT (customer_id) DO UPDATE SET recipient_policy = $1, updated_at = NOW()`,
+    [JSON.stringify(stored), customerId]
+  );
+  return getRecipientPolicy(customerId);
+}
+
+// ── Trusted contacts ────────────────────────────────────────────────────────
+
+/**
+ * Check a trusted contact: E.164 number, email address, or "@domain.com"
+ * for a whole email domain. Returns an error message, or null.
+ */
+function validateTrustedContact(recipient) {
+  const value = String(recipient || '').trim();
+  if (/^@[^\s@]+\.[^\s@]+$/.test(value) || EMAIL_PATTERN.test(value) || /^\+[1-9]\d{6,14}$/.test(value)) return null;
+  return 'recipient must be a phone number in E.164 format, an email address, or @domain.com';
+}
+
+async function listTrustedContacts(customerId) {
+  const result = await pool.query(
+    'SELECT id, recipient, label, created_at FROM trusted_contacts WHERE customer_id=$1 ORDER BY label NULLS LAST, recipient',
+    [customerId]
+  );
+  return result.rows;
+}
+
+async function addTrustedContact(customerId, recipient, label = null) {
+  const error = validateTrustedContact(recipient);
+  if (error) throw new Error(error);
+  const value = recipient.trim().startsWith('@') ? recipient.trim().toLowerCase() : normalizeRecipient(recipient);
+  const result = await pool.query(
+    `INSERT INTO trusted_contacts (customer_id, recipient, label) VALUES ($1, $2, $3)
+     ON CONFLICT (customer_id, recipient) DO UPDATE SET label = COALESCE(EXCLUDED.label, trusted_contacts.label)
+     RETURNING id, recipient, label, created_at`,
+    [customerId, value, label ? String(label).slice(0, 100) : null]
+  );
+  return result.rows[0];
+}
+
+async function deleteTrustedContact(customerId, id) {
+  const result = await pool.query(
+    'DELETE FROM trusted_contacts WHERE id=$1 AND customer_id=$2 RETURNING id',
+    [id, customerId]
+  );
+  return result.rows[0] || null;
+}
+
+// ── Known recipients ────────────────────────────────────────────────────────
+
+/**
+ * The customer's own addresses and trusted contacts (including @domain
+ * entries), and everyone contacted successfully before.
+ *
+ * @returns {{ trusted: Set<string>, contacted: Set<string> }}
+ */
+async function loadKnownRecipients(customerId) {
+  const [own, trusted, contacted] = await Promise.all([
+    pool.query('SELECT email, whatsapp_from, phone_number FROM customers WHERE id=$1', [customerId]),
+    pool.query('SELECT recipient FROM trusted_contacts WHERE customer_id=$1', [customerId]),
+    pool.query('SELECT recipient FROM outbound_recipients WHERE customer_id=$1 AND NOT pending', [customerId]),
+  ]);
+  const row = own.rows[0] || {};
+  return {
+    trusted: new Set([
+      ...[row.email, row.whatsapp_from, row.phone_number].map(normalizeRecipient).filter(Boolean),
+      ...trusted.rows.map(r => r.recipient),
+    ]),
+    contacted: new Set(contacted.rows.map(r => r.recipient)),
+  };
+}
+
+function isTrusted(recipient, known) {
+  if (known.trusted.has(recipient)) return true;
+  return !isPhone(recipient) && known.trusted.has(`@${recipient.split('@')[1]}`);
+}
+
+/**
+ * Recipients of a tool call the customer hasn't trusted or contacted before.
+ */
+async function unknownRecipients(customerId, tool, input) {
+  const recipients = recipientsOf(tool, input);
+  if (!recipients.length) return [];
+  const known = await loadKnownRecipients(customerId);
+  return recipients.filter(r => !isTrusted(r, known) && !known.contacted.has(r));
+}
+
+// ── Enforcement ─────────────────────────────────────────────────────────────
+
+function logAbuse(customerId, { tool, recipient, rule, source, detail }) {
+  console.warn(`🚫 Blocked ${tool} to ${recipient} for customer ${customerId} (${rule}, ${source})`);
+  pool.query(
+    `INSERT INTO abuse_log (customer_id, tool_name, recipient, rule, source, detail)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [customerId, tool, recipient, rule, source, detail]
+  ).catch(err => console.error('Abuse log error:', err.message));
+}
+
+function violationMessage(rule, recipient, policy) {
+  switch (rule) {
+    case 'emergency':
+      return `${recipient} is an emergency or short-code number and can't be contacted. In an emergency the customer must call directly.`;
+    case 'premium_rate':
+      return `${recipient} is a premium-rate number and is blocked`;
+    case 'international':
+      return `${recipient} is an international number. International recipients are blocked unless added as a trusted contact in the Kova portal`;
+    case 'allowlist_only':
+      return `${recipient} is not a trusted contact, and this account only contacts trusted contacts. Add it in the Kova portal first`;
+    case 'daily_new_recipients':
+      return `Daily limit of ${policy.daily_new_recipients} new recipients reached. Add ${recipient} as a trusted contact in the Kova portal, or try again tomorrow`;
+    default:
+      return `${recipient} is blocked by the recipient policy`;
+  }
+}
+
+// Per-recipient rules. Returns { error } for the first blocked recipient, or
+// the recipients that would be new (they count towards the daily cap).
+async function evaluateRecipients(customerId, tool, input, source) {
+  const recipients = recipientsOf(tool, input);
+  if (!recipients.length) return { fresh: [] };
+
+  const [policy, known] = await Promise.all([getRecipientPolicy(customerId), loadKnownRecipients(customerId)]);
+  const block = (recipient, rule) => {
+    const message = violationMessage(rule, recipient, policy);
+    logAbuse(customerId, { tool: tool.name, recipient, rule, source, detail: message });
+    return message;
+  };
+
+  const fresh = [];
+  for (const recipient of recipients) {
+    const trusted = isTrusted(recipient, known);
+    if (isPhone(recipient)) {
+      const rule = blockedNumberRule(recipient);
+      if (rule) return { error: block(recipient, rule) };
+      if (!trusted && isInternational(recipient, policy)) return { error: block(recipient, 'international') };
+    }
+    if (!trusted && policy.allowlist_only) return { error: block(recipient, 'allowlist_only') };
+    if (!trusted && !known.contacted.has(recipient)) fresh.push(recipient);
+  }
+  return { fresh, policy, block };
+}
+
+// New recipients so far today, reservations included
+async function newRecipientsToday(db, customerId) {
+  const result = await db.query(
+    'SELECT COUNT(*)::int AS count FROM outbound_recipients WHERE customer_id=$1 AND first_contacted_at >= CURRENT_DATE',
+    [customerId]
+  );
+  return result.rows[0].count;
+}
+
+/**
+ * Check every recipient of a tool call against the customer's policy,
+ * without reserving anything. Blocks are recorded in abuse_log.
+ *
+ * @param {string} source - 'assistant' or 'tools_api', for the abuse log
+ * @returns {Promise<string|null>} error message for the first blocked recipient, or null
+ */
+async function checkRecipients(customerId, tool, input, { source = 'assistant' } = {}) {
+  const { error, fresh, policy, block } = await evaluateRecipients(customerId, tool, input, source);
+  if (error) return error;
+  if (fresh.length && await newRecipientsToday(pool, customerId) + fresh.length > policy.daily_new_recipients) {
+    return block(fresh[0], 'daily_new_recipients');
+  }
+  return null;
+}
+
+/**
+ * checkRecipients(), throwing on a blocked recipient.
+ */
+async function assertRecipientsAllowed(customerId, tool, input, options) {
+  const error = await checkRecipients(customerId, tool, input, options);
+  if (error) throw new Error(`Blocked: ${error}`);
+}
+
+/**
+ * Check a tool call's recipients and hold today's new-recipient slots for it
+ * before the tool runs — tool calls run in parallel, so counting only after
+ * success would let a round of sends overshoot the cap. Throws on a blocked
+ * recipient. Pass the result to releaseRecipients() if the tool fails.
+ *
+ * @returns {Promise<string[]>} recipients reserved by this call
+ */
+async function reserveRecipients(customerId, tool, input, { source = 'assistant' } = {}) {
+  const { error, fresh, policy, block } = await evaluateRecipients(customerId, tool, input, source);
+  if (error) throw new Error(`Blocked: ${error}`);
+  if (!fresh.length) return [];
+
+  const client = await pool.connect();
+  let reserved = [];
+  let blocked = null;
+  try {
+    await client.query('BEGIN');
+    // One customer's reservations are counted and made one at a time
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('outbound_recipients'), $1)", [customerId]);
+    if (await newRecipientsToday(client, customerId) + fresh.length > policy.daily_new_recipients) {
+      blocked = fresh[0];
+    } else {
+      const result = await client.query(
+        `INSERT INTO outbound_recipients (customer_id, recipient, tool_name, pending)
+         SELECT $1, recipient, $3, TRUE FROM UNNEST($2::text[]) AS recipient
+         ON CONFLICT (customer_id, recipient) DO NOTHING
+         RETURNING recipient`,
+        [customerId, fresh, tool.name]
+      );
+      reserved = result.rows.map(r => r.recipient);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+  if (blocked) throw new Error(`Blocked: ${block(blocked, 'daily_new_recipients')}`);
+  return reserved;
+}
+
+/**
+ * Give back slots reserved for a tool call that failed.
+ */
+async function releaseRecipients(customerId, reserved) {
+  if (!reserved.length) return;
+  await pool.query(
+    'DELETE FROM outbound_recipients WHERE customer_id=$1 AND recipient = ANY($2) AND pending',
+    [customerId, reserved]
+  );
+}
+
+/**
+ * Remember who a tool call reached, after it succeeded — confirms any
+ * reservation made for it.
+ */
+async function recordRecipients(customerId, tool, input) {
+  for (const recipient of recipientsOf(tool, input)) {
+    await pool.query(
+      `INSERT INTO outbound_recipients (customer_id, recipient, tool_name) VALUES ($1, $2, $3)
+       ON CONFLICT (customer_id, recipient)
+       DO UPDATE SET last_contacted_at = NOW(), pending = FALSE,
+         contact_count = CASE WHEN outbound_recipients.pending THEN 1 ELSE outbound_recipients.contact_count + 1 END`,
+      [customerId, recipient, tool.name]
+    );
+  }
+}
+
+// ── Abuse log (admin) ───────────────────────────────────────────────────────
+
+async function getAbuseLog(customerId, { days = 30, limit = 100 } = {}) {
+  const result = await pool.query(
+    `SELECT id, tool_name, recipient, rule, source, detail, created_at FROM abuse_log
+     WHERE customer_id = $1 AND created_at > NOW() - make_interval(days => $2)
+     ORDER BY created_at DESC LIMIT $3`,
+    [customerId, days, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Blocked attempts across an admin's customers, newest first.
+ */
+async function getAbuseLogByAdmin(adminId, { days = 30, limit = 100 } = {}) {
+  const result = await pool.query(
+    `SELECT a.id, a.customer_id, c.name, a.tool_name, a.recipient, a.rule, a.source, a.detail, a.created_at
+     FROM abuse_log a
+     JOIN customers c ON c.id = a.customer_id
+     WHERE c.admin_id = $1 AND a.created_at > NOW() - make_interval(days => $2)
+     ORDER BY a.created_at DESC LIMIT $3`,
+    [adminId, days, limit]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  normalizeRecipient,
+  recipientsOf,
+  getRecipientPolicy,
+  validatePolicyUpdate,
+  updateRecipientPolicy,
+  validateTrustedContact,
+  listTrustedContacts,
+  addTrustedContact,
+  deleteTrustedContact,
+  unknownRecipients,
+  checkRecipients,
+  assertRecipientsAllowed,
+  reserveRecipients,
+  releaseRecipients,
+  recordRecipients,
+  getAbuseLog,
+  getAbuseLogByAdmin,
+};
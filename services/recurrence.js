@@ -0,0 +1,310 @@
+/**
+ * Recurrence rules for reminders — a practical subset of RFC 5545 RRULE.
+ *
+ * Supported: FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL, BYDAY (with
+ * ordinals for MONTHLY, e.g. "1MO", "-1FR"), BYMONTHDAY (negative = from
+ * month end), BYMONTH, COUNT, UNTIL.
+ *
+ * All evaluation happens on the customer's wall clock in their IANA timezone,
+ * so "every Monday at 9" stays at 9:00 across DST changes. Date-only math
+ * uses UTC Date objects as plain calendar dates.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Upper bound on days scanned when looking for the next occurrence
+const MAX_SCAN_DAYS = 5 * 366;
+
+// ── Timezone helpers ────────────────────────────────────────────────────────
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function safeTimezone(tz) {
+  return tz && isValidTimezone(tz) ? tz : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone.
+ */
+function getZonedParts(date, tz) {
+  const parts = {};
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone: safeTimezone(tz),
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric',
+  });
+  for (const p of fmt.formatToParts(date)) {
+    if (p.type !== 'literal') parts[p.type] = parseInt(p.value);
+  }
+  return {
+    year: parts.year, month: parts.month, day: parts.day,
+    hour: parts.hour, minute: parts.minute, second: parts.second,
+  };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC instant.
+ * Two passes settle the offset across DST transitions.
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, tz) {
+  const target = Date.UTC(year, month - 1, day, hour, minute, second);
+  let guess = target;
+  for (let i = 0; i < 2; i++) {
+    const p = getZonedParts(new Date(guess), tz);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    guess += target - asUtc;
+  }
+  return new Date(guess);
+}
+
+/**
+ * Parse a datetime from the model. Strings with an explicit offset or "Z"
+ * are absolute; bare "YYYY-MM-DDTHH:mm[:ss]" is the customer's local time.
+ */
+function parseLocalDateTime(value, tz) {
+  if (!value || typeof value !== 'string') return null;
+  const m = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/);
+  if (m) {
+    return zonedTimeToUtc({
+      year: +m[1], month: +m[2], day: +m[3],
+      hour: +(m[4] || 0), minute: +(m[5] || 0), second: +(m[6] || 0),
+    }, safeTimezone(tz));
+  }
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Human-readable local time, e.g. "Mon, Mar 2, 2026, 9:00 AM".
+ */
+function formatLocalTime(date, tz) {
+  return new Date(date).toLocaleString('en-US', {
+    timeZone: safeTimezone(tz),
+    weekday: 'short', month: 'short', day: 'numeric', year: 'numeric',
+    hour: 'numeric', minute: '2-digit',
+  });
+}
+
+// ── RRULE parsing ───────────────────────────────────────────────────────────
+
+/**
+ * Parse an RRULE string ("FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10", optional
+ * "RRULE:" prefix). UNTIL may be a date or datetime, read in the customer's
+ * timezone. Throws on unsupported or malformed rules.
+ */
+function parseRecurrence(rrule, tz) {
+  if (!rrule || typeof rrule !== 'string') throw new Error('Missing recurrence rule');
+
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], byMonth: [], count: null, until: null };
+  const body = rrule.trim().replace(/^RRULE:/i, '');
+
+  for (const pair of body.split(';').filter(Boolean)) {
+    const [rawKey, rawValue] = pair.split('=');
+    const key = (rawKey || '').trim().toUpperCase();
+    const value = (rawValue || '').trim().toUpperCase();
+    if (!value) throw new Error(`Invalid recurrence part: "${pair}"`);
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) throw new Error(`Unsupported FREQ "${value}" (use ${FREQUENCIES.join(', ')})`);
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value);
+        if (!(rule.interval >= 1 && rule.interval <= 99)) throw new Error('INTERVAL must be between 1 and 99');
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(v => {
+          const m = v.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!m) throw new Error(`Invalid BYDAY value "${v}"`);
+          return { weekday: WEEKDAYS.indexOf(m[2]), ordinal: m[1] ? parseInt(m[1]) : null };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(v => {
+          const n = parseInt(v);
+          if (!n || n < -31 || n > 31) throw new Error(`Invalid BYMONTHDAY value "${v}"`);
+          return n;
+        });
+        break;
+      case 'BYMONTH':
+        rule.byMonth = value.split(',').map(v => {
+          const n = parseInt(v);
+          if (!(n >= 1 && n <= 12)) throw new Error(`Invalid BYMONTH value "${v}"`);
+          return n;
+        });
+        break;
+      case 'COUNT':
+        rule.count = parseInt(value);
+        if (!(rule.count >= 1)) throw new Error('COUNT must be a positive number');
+        break;
+      case 'UNTIL': {
+        const m = value.match(/^(\d{4})-?(\d{2})-?(\d{2})(?:T(\d{2}):?(\d{2}):?(\d{2})?(Z)?)?$/);
+        if (!m) throw new Error(`Invalid UNTIL value "${value}"`);
+        const parts = { year: +m[1], month: +m[2], day: +m[3], hour: +(m[4] || 23), minute: +(m[5] || 59), second: +(m[6] || 59) };
+        rule.until = m[7]
+          ? new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second))
+          : zonedTimeToUtc(parts, safeTimezone(tz));
+        break;
+      }
+      default:
+        throw new Error(`Unsupported recurrence part "${key}"`);
+    }
+  }
+
+  if (!rule.freq) throw new Error('Recurrence rule needs FREQ (e.g. "FREQ=WEEKLY;BYDAY=MO")');
+  if (rule.count && rule.until) throw new Error('Use either COUNT or UNTIL, not both');
+  if (rule.byDay.some(d => d.ordinal !== null) && rule.freq !== 'MONTHLY') {
+    throw new Error('Ordinal BYDAY values (e.g. "1MO") are only supported with FREQ=MONTHLY');
+  }
+  return rule;
+}
+
+/**
+ * Short description for confirmations and listings, e.g. "every 2 weeks on Monday, Wednesday".
+ */
+function describeRecurrence(rrule, tz) {
+  let rule;
+  try { rule = parseRecurrence(rrule, tz); } catch { return rrule; }
+
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[rule.freq];
+  let text = rule.interval === 1 ? `every ${unit}` : `every ${rule.interval} ${unit}s`;
+
+  if (rule.byDay.length) {
+    const days = rule.byDay.map(d => {
+      const name = WEEKDAY_NAMES[d.weekday];
+      if (d.ordinal === null) return name;
+      if (d.ordinal === -1) return `last ${name}`;
+      return `${ordinalSuffix(d.ordinal)} ${name}`;
+    });
+    text += ` on ${days.join(', ')}`;
+  }
+  if (rule.byMonthDay.length) {
+    const days = rule.byMonthDay.map(n => (n === -1 ? 'last day' : n < 0 ? `${-n} days before month end` : `the ${ordinalSuffix(n)}`));
+    text += ` on ${days.join(', ')}`;
+  }
+  if (rule.count) text += `, ${rule.count} times`;
+  if (rule.until) text += `, until ${formatLocalTime(rule.until, tz)}`;
+  return text;
+}
+
+function ordinalSuffix(n) {
+  const s = ['th', 'st', 'nd', 'rd'];
+  const v = n % 100;
+  return n + (s[(v - 20) % 10] || s[v] || s[0]);
+}
+
+// ── Occurrence calculation ──────────────────────────────────────────────────
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function periodIndex(freq, date) {
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth();
+  switch (freq) {
+    case 'DAILY':   return Math.floor(date.getTime() / MS_PER_DAY);
+    // Weeks start on Monday (RRULE default WKST=MO); epoch day 0 was a Thursday
+    case 'WEEKLY':  return Math.floor((Math.floor(date.getTime() / MS_PER_DAY) + 3) / 7);
+    case 'MONTHLY': return y * 12 + m;
+    case 'YEARLY':  return y;
+  }
+  return 0;
+}
+
+function matchesDay(rule, date, anchor) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + 1;
+  const day = date.getUTCDate();
+  const weekday = date.getUTCDay();
+  const monthLength = daysInMonth(year, month);
+
+  if (rule.byMonth.length && !rule.byMonth.includes(month)) return false;
+
+  if (rule.byMonthDay.length) {
+    const hit = rule.byMonthDay.some(n => (n > 0 ? n === day : monthLength + n + 1 === day));
+    if (!hit) return false;
+  }
+
+  if (rule.byDay.length) {
+    const hit = rule.byDay.some(d => {
+      if (d.weekday !== weekday) return false;
+      if (d.ordinal === null) return true;
+      const nth = Math.ceil(day / 7);
+      const nthFromEnd = -Math.ceil((monthLength - day + 1) / 7);
+      return d.ordinal === nth || d.ordinal === nthFromEnd;
+    });
+    if (!hit) return false;
+  }
+
+  // Without BY* filters, repeat on the anchor's weekday / day-of-month / date
+  if (!rule.byDay.length && !rule.byMonthDay.length) {
+    if (rule.freq === 'WEEKLY' && weekday !== anchor.getUTCDay()) return false;
+    if (rule.freq === 'MONTHLY' && day !== anchor.getUTCDate()) return false;
+    if (rule.freq === 'YEARLY') {
+      if (day !== anchor.getUTCDate()) return false;
+      if (!rule.byMonth.length && month !== anchor.getUTCMonth() + 1) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Compute the occurrence after `previous` (a Date), keeping its local
+ * time-of-day. Returns null when the series has ended.
+ *
+ * @param {string} rrule
+ * @param {Date}   previous          - The occurrence that was just delivered
+ * @param {string} tz                - Customer's IANA timezone
+ * @param {number} occurrencesSoFar  - Occurrences delivered including `previous`
+ */
+function nextOccurrence(rrule, previous, tz, occurrencesSoFar = 1) {
+  const zone = safeTimezone(tz);
+  const rule = parseRecurrence(rrule, zone);
+  if (rule.count && occurrencesSoFar >= rule.count) return null;
+
+  const local = getZonedParts(previous, zone);
+  const anchor = new Date(Date.UTC(local.year, local.month - 1, local.day));
+  const anchorPeriod = periodIndex(rule.freq, anchor);
+
+  for (let i = 1; i <= MAX_SCAN_DAYS * rule.interval; i++) {
+    const candidate = new Date(anchor.getTime() + i * MS_PER_DAY);
+    if ((periodIndex(rule.freq, candidate) - anchorPeriod) % rule.interval !== 0) continue;
+    if (!matchesDay(rule, candidate, anchor)) continue;
+
+    const next = zonedTimeToUtc({
+      year: candidate.getUTCFullYear(),
+      month: candidate.getUTCMonth() + 1,
+      day: candidate.getUTCDate(),
+      hour: local.hour, minute: local.minute, second: local.second,
+    }, zone);
+
+    if (rule.until && next > rule.until) return null;
+    return next;
+  }
+  return null;
+}
+
+module.exports = {
+  parseRecurrence,
+  describeRecurrence,
+  nextOccurrence,
+  parseLocalDateTime,
+  formatLocalTime,
+  getZonedParts,
+  safeTimezone,
+  DEFAULT_TIMEZONE,
+};
@@ -1,72 +1,417 @@
 /**
- * Reminder service — schedules WhatsApp reminders for customers.
+ * Reminder service — durable WhatsApp reminders for customers.
  *
- * Uses in-memory setTimeout for reminders within the next 24 hours.
- * On server restart, pending reminders are lost — for production,
- * a DB-based poller would be more robust.
+ * Reminders live in the `reminders` table. A poller claims due rows with
+ * FOR UPDATE SKIP LOCKED (safe with several API replicas), sends them via
+ * Twilio, and marks them sent. Failed sends are retried with backoff, and
+ * rows left in 'sending' by a crashed process are reclaimed after a timeout,
+ * so a deploy or restart never loses a reminder.
+ *
+ * Recurring reminders carry an RRULE (see services/recurrence.js). After each
+ * delivery the next occurrence is computed in the customer's timezone and the
+ * same row is rescheduled, until COUNT/UNTIL ends the series.
+ *
+ * Delivered reminders are also written to the conversation history, so a
+ * reply like "snooze that 30 minutes" has something to refer to.
  */
 
 const { pool } = require('../db');
+const { parseRecurrence, describeRecurrence, nextOccurrence, formatLocalTime, safeTimezone } = require('./recurrence');
+
+const POLL_INTERVAL_MS = parseInt(process.env.REMINDER_POLL_MS) || 15 * 1000;
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 5;
+const STALE_LOCK_MINUTES = 5;
 
-const scheduledReminders = new Map();
+// Retry delays after the 1st, 2nd, 3rd... failed attempt
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000, 60 * 60 * 1000];
 
 /**
- * Schedule a WhatsApp reminder.
+ * The customer's IANA timezone from their profile (validated, with default).
  */
-function scheduleReminder(customerId, message, time) {
-  const delay = time.getTime() - Date.now();
-  if (delay < 0) {
-    console.warn(`⏰ Reminder time is in the past, sending immediately`);
-    sendReminder(customerId, message);
-    return;
-  }
+async function getCustomerTimezone(customerId) {
+  const result = await pool.query(
+    'SELECT timezone FROM customer_profiles WHERE customer_id=$1',
+    [customerId]
+  );
+  return safeTimezone(result.rows[0]?.timezone);
+}
 
-  // Cap at 24 hours (setTimeout max safe ~2B ms, but keep it practical)
-  if (delay > 24 * 60 * 60 * 1000) {
-    console.log(`⏰ Reminder scheduled for ${time.toISOString()} (>24h, stored in DB only)`);
-    return;
-  }
+/**
+ * Validate a recurrence rule and return it in stored form (or null for none).
+ * Throws on invalid rules.
+ */
+function normalizeRecurrence(rrule, tz, firstAt) {
+  if (!rrule) return null;
+  const rule = parseRecurrence(rrule, tz);
+  if (rule.until && firstAt && rule.until < firstAt) throw new Error('Recurrence end date is before the first reminder');
+  return rrule.trim().replace(/^RRULE:/i, '').toUpperCase();
+}
+
+/**
+ * Create a reminder. Past times are sent on the next poll.
+ *
+ * @param {number} customerId
+ * @param {object} opts
+ * @param {string} opts.message
+ * @param {Date}   opts.remindAt  - First (or only) occurrence
+ * @param {string} [opts.rrule]   - Recurrence rule, e.g. "FREQ=WEEKLY;BYDAY=MO"
+ * @returns {object} The inserted reminders row
+ */
+async function createReminder(customerId, { message, remindAt, rrule }) {
+  if (!message) throw new Error('Missing reminder message');
+  if (!(remindAt instanceof Date) || isNaN(remindAt.getTime())) throw new Error('Invalid time format');
+
+  const normalizedRule = rrule
+    ? normalizeRecurrence(rrule, await getCustomerTimezone(customerId), remindAt)
+    : null;
+
+  const result = await pool.query(
+    `INSERT INTO reminders (customer_id, message, remind_at, rrule)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [customerId, message, remindAt, normalizedRule]
+  );
+  const reminder = result.rows[0];
+  console.log(`⏰ Reminder #${reminder.id} set for ${remindAt.toISOString()}${normalizedRule ? ` (${normalizedRule})` : ''} (customer ${customerId})`);
+  return reminder;
+}
 
-  const id = setTimeout(() => {
-    sendReminder(customerId, message);
-    scheduledReminders.delete(id);
-  }, delay);
+/**
+ * Claim a batch of due reminders for this process.
+ * Includes failed sends whose backoff has elapsed and stale 'sending' rows.
+ */
+async function claimDueReminders() {
+  const result = await pool.query(
+    `UPDATE reminders
+     SET status = 'sending', locked_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM reminders
+       WHERE (status = 'scheduled' AND COALESCE(next_attempt_at, remind_at) <= NOW())
+          OR (status = 'sending' AND locked_at < NOW() - INTERVAL '${STALE_LOCK_MINUTES} minutes')
+       ORDER BY remind_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [BATCH_SIZE]
+  );
+  return result.rows;
+}
 
-  scheduledReminders.set(id, { customerId, message, time });
-  console.log(`⏰ Reminder set for ${time.toISOString()} (${Math.round(delay / 60000)}min)`);
+async function deliverReminder(reminder) {
+  const { sendToCustomer } = require('./whatsapp');
+  const to = await sendToCustomer(reminder.customer_id, `⏰ Reminder: ${reminder.message}`);
+  console.log(`⏰ Reminder #${reminder.id} sent to ${to}: ${reminder.message}`);
 }
 
-async function sendReminder(customerId, message) {
+/**
+ * For a recurring reminder, the next future occurrence after the current one
+ * (or null when the series is over). Occurrences missed while the server was
+ * down are skipped — but still count towards COUNT — instead of being sent in
+ * a burst. Errors in a stored rule end the series.
+ *
+ * @returns {{ next: Date, skipped: number } | null}
+ */
+async function computeNextOccurrence(reminder) {
+  if (!reminder.rrule) return null;
   try {
-    const result = await pool.query(
-      'SELECT whatsapp_from FROM customers WHERE id=$1',
-      [customerId]
+    const tz = await getCustomerTimezone(reminder.customer_id);
+    let delivered = (reminder.occurrence_count || 0) + 1;
+    let next = nextOccurrence(reminder.rrule, new Date(reminder.remind_at), tz, delivered);
+    let skipped = 0;
+    while (next && next <= new Date() && skipped < 1000) {
+      skipped++;
+      delivered++;
+      next = nextOccurrence(reminder.rrule, next, tz, delivered);
+    }
+    return next ? { next, skipped } : null;
+  } catch (err) {
+    console.error(`⏰ Reminder #${reminder.id} has an invalid recurrence rule:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Move a recurring reminder on to its next occurrence with a fresh retry budget.
+ */
+async function rescheduleOccurrence(reminder, { next, skipped }, { sent }) {
+  await pool.query(
+    `UPDATE reminders
+     SET status = 'scheduled', remind_at = $2, occurrence_count = occurrence_count + 1 + $4,
+         attempts = 0, next_attempt_at = NULL, locked_at = NULL,
+         sent_at = CASE WHEN $3 THEN NOW() ELSE sent_at END, updated_at = NOW()
+     WHERE id = $1`,
+    [reminder.id, next, sent, skipped]
+  );
+  console.log(`⏰ Reminder #${reminder.id} next occurrence: ${next.toISOString()}${skipped ? ` (skipped ${skipped} missed)` : ''}`);
+}
+
+/**
+ * Record a delivered reminder in the conversation history. The id lets the
+ * assistant resolve "snooze that" / "cancel that" replies.
+ */
+function saveToConversation(reminder) {
+  const { appendMessages } = require('./threads');
+  appendMessages(reminder.customer_id, [
+    { role: 'assistant', content: `[Delivered reminder #${reminder.id}]\n\n⏰ Reminder: ${reminder.message}` },
+  ]).catch(err => console.error('Reminder conversation save error:', err.message));
+}
+
+async function markSent(reminder) {
+  const upcoming = await computeNextOccurrence(reminder);
+  if (upcoming) {
+    await rescheduleOccurrence(reminder, upcoming, { sent: true });
+  } else {
+    await pool.query(
+      `UPDATE reminders
+       SET status = 'sent', sent_at = NOW(), occurrence_count = occurrence_count + 1,
+           locked_at = NULL, last_error = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [reminder.id]
     );
-    const whatsappFrom = result.rows[0]?.whatsapp_from;
-    if (!whatsappFrom) {
-      console.error(`Cannot send reminder: no WhatsApp number for customer ${customerId}`);
+  }
+  // Fire-and-forget — a logging failure must not cause a re-send
+  saveToConversation(reminder);
+  pool.query(
+    `INSERT INTO activity_log (customer_id, event_type, description, metadata) VALUES ($1, $2, $3, $4)`,
+    [reminder.customer_id, 'reminder_sent', `Reminder: ${reminder.message}`, JSON.stringify({ reminder_id: reminder.id })]
+  ).catch(err => console.error('Activity log error:', err.message));
+}
+
+/**
+ * markSent() failed after delivery (e.g. the next occurrence couldn't be
+ * computed): close the row so the stale-lock sweep doesn't send it again.
+ * A recurring series stops here rather than risk a duplicate.
+ */
+async function markSentFallback(reminder, err) {
+  console.error(`⏰ Reminder #${reminder.id} was delivered but could not be updated:`, err.message);
+  await pool.query(
+    `UPDATE reminders
+     SET status = 'sent', sent_at = NOW(), locked_at = NULL, last_error = $2, updated_at = NOW()
+     WHERE id = $1`,
+    [reminder.id, `Delivered, but update failed: ${err.message}`]
+  ).catch(e => console.error('Reminder update error:', e.message));
+}
+
+async function markFailed(reminder, err) {
+  const exhausted = reminder.attempts >= MAX_ATTEMPTS;
+  const delay = RETRY_DELAYS_MS[Math.min(reminder.attempts - 1, RETRY_DELAYS_MS.length - 1)];
+
+  // A recurring series skips the failed occurrence rather than dying with it
+  if (exhausted) {
+    const upcoming = await computeNextOccurrence(reminder);
+    if (upcoming) {
+      console.error(`⏰ Reminder #${reminder.id} occurrence FAILED after ${reminder.attempts} attempts:`, err.message);
+      await pool.query('UPDATE reminders SET last_error = $2 WHERE id = $1', [reminder.id, err.message]);
+      await rescheduleOccurrence(reminder, upcoming, { sent: false });
       return;
     }
+  }
 
-    const twilio = require('twilio')(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-    const fromNumber = process.env.TWILIO_WHATSAPP_NUMBER;
-    if (!fromNumber) return;
+  await pool.query(
+    `UPDATE reminders
+     SET status = $2, last_error = $3, locked_at = NULL,
+         next_attempt_at = NOW() + $4 * INTERVAL '1 millisecond', updated_at = NOW()
+     WHERE id = $1`,
+    [reminder.id, exhausted ? 'failed' : 'scheduled', err.message, delay]
+  );
 
-    await twilio.messages.create({
-      from: `whatsapp:${fromNumber}`,
-      to: `whatsapp:${whatsappFrom}`,
-      body: `⏰ Reminder: ${message}`,
-    });
+  if (exhausted) {
+    console.error(`⏰ Reminder #${reminder.id} FAILED after ${reminder.attempts} attempts:`, err.message);
+  } else {
+    console.warn(`⏰ Reminder #${reminder.id} send failed (attempt ${reminder.attempts}), retrying in ${Math.round(delay / 1000)}s:`, err.message);
+  }
+}
 
-    console.log(`⏰ Reminder sent to ${whatsappFrom}: ${message}`);
+// ── Management ──────────────────────────────────────────────────────────────
 
-    await pool.query(
-      `INSERT INTO activity_log (customer_id, event_type, description) VALUES ($1, $2, $3)`,
-      [customerId, 'reminder_sent', `Reminder: ${message}`]
-    );
+const REMINDER_COLUMNS = `id, message, remind_at, rrule, status, occurrence_count,
+                          attempts, last_error, sent_at, created_at, updated_at`;
+
+/**
+ * List a customer's reminders. By default only upcoming ones (scheduled or
+ * being sent); with includePast, delivered/failed/cancelled ones too.
+ */
+async function listReminders(customerId, { includePast = false, limit = 50 } = {}) {
+  const result = await pool.query(
+    `SELECT ${REMINDER_COLUMNS} FROM reminders
+     WHERE customer_id = $1 ${includePast ? '' : "AND status IN ('scheduled', 'sending')"}
+     ORDER BY status IN ('scheduled', 'sending') DESC,
+              CASE WHEN status IN ('scheduled', 'sending') THEN remind_at END ASC,
+              COALESCE(sent_at, updated_at) DESC
+     LIMIT $2`,
+    [customerId, limit]
+  );
+  return result.rows;
+}
+
+async function getReminder(customerId, reminderId) {
+  const result = await pool.query(
+    `SELECT ${REMINDER_COLUMNS} FROM reminders WHERE id = $1 AND customer_id = $2`,
+    [reminderId, customerId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * The reminder most recently delivered to the customer — what "snooze that"
+ * refers to when no id is given.
+ */
+async function getLastDeliveredReminder(customerId) {
+  const result = await pool.query(
+    `SELECT ${REMINDER_COLUMNS} FROM reminders
+     WHERE customer_id = $1 AND sent_at IS NOT NULL
+     ORDER BY sent_at DESC LIMIT 1`,
+    [customerId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Cancel a scheduled reminder (for a recurring one, the whole series).
+ * Returns the updated row, or null if there was no such scheduled reminder.
+ */
+async function cancelReminder(customerId, reminderId) {
+  const result = await pool.query(
+    `UPDATE reminders
+     SET status = 'cancelled', next_attempt_at = NULL, updated_at = NOW()
+     WHERE id = $1 AND customer_id = $2 AND status = 'scheduled'
+     RETURNING ${REMINDER_COLUMNS}`,
+    [reminderId, customerId]
+  );
+  if (result.rows[0]) console.log(`⏰ Reminder #${reminderId} cancelled (customer ${customerId})`);
+  return result.rows[0] || null;
+}
+
+/**
+ * Deliver a reminder again at `remindAt`. A one-off reminder is moved in
+ * place; for a recurring one a one-off copy is created so the series keeps
+ * its schedule. Returns the reminder that will fire, or null if the reminder
+ * doesn't exist or is cancelled / mid-send.
+ */
+async function snoozeReminder(customerId, reminderId, remindAt) {
+  if (!(remindAt instanceof Date) || isNaN(remindAt.getTime())) throw new Error('Invalid time format');
+
+  const reminder = await getReminder(customerId, reminderId);
+  if (!reminder || reminder.status === 'cancelled' || reminder.status === 'sending') return null;
+
+  if (reminder.rrule) {
+    return createReminder(customerId, { message: reminder.message, remindAt });
+  }
+
+  const result = await pool.query(
+    `UPDATE reminders
+     SET status = 'scheduled', remind_at = $3, attempts = 0, next_attempt_at = NULL,
+         locked_at = NULL, last_error = NULL, updated_at = NOW()
+     WHERE id = $1 AND customer_id = $2 AND status IN ('scheduled', 'sent', 'failed')
+     RETURNING ${REMINDER_COLUMNS}`,
+    [reminderId, customerId, remindAt]
+  );
+  if (result.rows[0]) console.log(`⏰ Reminder #${reminderId} snoozed until ${remindAt.toISOString()}`);
+  return result.rows[0] || null;
+}
+
+/**
+ * Edit an upcoming (or failed) reminder. Pass rrule: '' to stop it repeating.
+ * Returns the updated row, or null if it isn't editable.
+ *
+ * @param {object} changes
+ * @param {string} [changes.message]
+ * @param {Date}   [changes.remindAt]
+ * @param {string} [changes.rrule]
+ */
+async function updateReminder(customerId, reminderId, { message, remindAt, rrule } = {}) {
+  if (remindAt !== undefined && (!(remindAt instanceof Date) || isNaN(remindAt.getTime()))) {
+    throw new Error('Invalid time format');
+  }
+
+  const reminder = await getReminder(customerId, reminderId);
+  if (!reminder || !['scheduled', 'failed'].includes(reminder.status)) return null;
+
+  const changeRule = rrule !== undefined;
+  const normalizedRule = changeRule
+    ? normalizeRecurrence(rrule, await getCustomerTimezone(customerId), remindAt || reminder.remind_at)
+    : null;
+
+  const result = await pool.query(
+    `UPDATE reminders
+     SET message = COALESCE($3, message),
+         remind_at = COALESCE($4, remind_at),
+         rrule = CASE WHEN $5 THEN $6 ELSE rrule END,
+         -- A new rule's COUNT starts from this point, not from the old series
+         occurrence_count = CASE WHEN $5 AND rrule IS DISTINCT FROM $6 THEN 0 ELSE occurrence_count END,
+         status = 'scheduled', attempts = 0, next_attempt_at = NULL, last_error = NULL,
+         updated_at = NOW()
+     WHERE id = $1 AND customer_id = $2 AND status IN ('scheduled', 'failed')
+     RETURNING ${REMINDER_COLUMNS}`,
+    [reminderId, customerId, message || null, remindAt || null, changeRule, normalizedRule]
+  );
+  if (result.rows[0]) console.log(`⏰ Reminder #${reminderId} updated (customer ${customerId})`);
+  return result.rows[0] || null;
+}
+
+/**
+ * Reminder as shown to the customer / assistant: local time and a readable
+ * description of the recurrence.
+ */
+function describeReminder(reminder, tz) {
+  let repeats = null;
+  if (reminder.rrule) {
+    try { repeats = describeRecurrence(reminder.rrule, tz); } catch { repeats = reminder.rrule; }
+  }
+  return {
+    reminder_id: reminder.id,
+    message: reminder.message,
+    status: reminder.status,
+    time: new Date(reminder.remind_at).toISOString(),
+    local_time: formatLocalTime(reminder.remind_at, tz),
+    ...(repeats && { repeats }),
+    ...(reminder.sent_at && { last_sent_at: new Date(reminder.sent_at).toISOString() }),
+  };
+}
+
+// ── Poller ──────────────────────────────────────────────────────────────────
+
+let polling = false;
+
+async function pollDueReminders() {
+  if (polling) return;
+  polling = true;
+  try {
+    const due = await claimDueReminders();
+    for (const reminder of due) {
+      // Only a failed send is retried — once Twilio has delivered, a failed
+      // bookkeeping update must not send the reminder again
+      try {
+        await deliverReminder(reminder);
+      } catch (err) {
+        await markFailed(reminder, err).catch(e => console.error('Reminder update error:', e.message));
+        continue;
+      }
+      await markSent(reminder).catch(err => markSentFallback(reminder, err));
+    }
   } catch (err) {
-    console.error('Failed to send reminder:', err.message);
+    console.error('Reminder poll error:', err.message);
+  } finally {
+    polling = false;
   }
 }
 
-module.exports = { scheduleReminder };
+let pollTimer = null;
+
+/**
+ * Start the reminder poller. Call once after initDB().
+ */
+function startReminderWorker() {
+  if (pollTimer) return;
+  pollTimer = setInterval(pollDueReminders, POLL_INTERVAL_MS);
+  pollDueReminders();
+  console.log(`⏰ Reminder worker started (polling every ${Math.round(POLL_INTERVAL_MS / 1000)}s)`);
+}
+
+module.exports = {
+  createReminder, listReminders, getReminder, getLastDeliveredReminder,
+  cancelReminder, snoozeReminder, updateReminder, describeReminder,
+  normalizeRecurrence, getCustomerTimezone, startReminderWorker, pollDueReminders,
+};
@@ -0,0 +1,104 @@
+/**
+ * Speech-to-text — transcribes inbound WhatsApp voice notes.
+ *
+ * Providers: Deepgram → OpenAI Whisper, picked by available API key, or
+ * forced with STT_PROVIDER=deepgram|openai|stub. The stub provider returns
+ * STT_STUB_TEXT without any network call, for local testing.
+ *
+ * Each provider is `async (buffer, contentType) => { text, language? }`;
+ * add new ones to PROVIDERS.
+ */
+
+const TRANSCRIBE_TIMEOUT_MS = 30 * 1000;
+
+// ── Deepgram ────────────────────────────────────────────────────────────────
+async function transcribeDeepgram(buffer, contentType) {
+  const resp = await fetch(
+    'https://api.deepgram.com/v1/listen?model=nova-2&smart_format=true&detect_language=true',
+    {
+      method: 'POST',
+      headers: {
+        Authorization: `Token ${process.env.DEEPGRAM_API_KEY}`,
+        'Content-Type': contentType || 'audio/ogg',
+      },
+      body: buffer,
+      signal: AbortSignal.timeout(TRANSCRIBE_TIMEOUT_MS),
+    }
+  );
+  if (!resp.ok) throw new Error(`Deepgram STT: ${resp.status}`);
+  const data = await resp.json();
+  const channel = data.results?.channels?.[0];
+  return {
+    text: channel?.alternatives?.[0]?.transcript || '',
+    language: channel?.detected_language || null,
+  };
+}
+
+// ── OpenAI Whisper ──────────────────────────────────────────────────────────
+const AUDIO_EXTENSIONS = {
+  'audio/ogg': 'ogg', 'audio/opus': 'ogg', 'audio/mpeg': 'mp3', 'audio/mp3': 'mp3',
+  'audio/mp4': 'm4a', 'audio/x-m4a': 'm4a', 'audio/aac': 'm4a', 'audio/amr': 'amr',
+  'audio/wav': 'wav', 'audio/x-wav': 'wav', 'audio/webm': 'webm',
+};
+
+async function transcribeOpenAI(buffer, contentType) {
+  const type = (contentType || 'audio/ogg').split(';')[0].trim();
+  const form = new FormData();
+  form.append('model', 'whisper-1');
+  form.append('response_format', 'verbose_json');
+  form.append('file', new Blob([buffer], { type }), `voice-note.${AUDIO_EXTENSIONS[type] || 'ogg'}`);
+
+  const resp = await fetch('https://api.openai.com/v1/audio/transcriptions', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+    body: form,
+    signal: AbortSignal.timeout(TRANSCRIBE_TIMEOUT_MS),
+  });
+  if (!resp.ok) throw new Error(`OpenAI STT: ${resp.status}`);
+  const data = await resp.json();
+  return { text: data.text || '', language: data.language || null };
+}
+
+// ── Stub (local testing) ────────────────────────────────────────────────────
+async function transcribeStub() {
+  return { text: process.env.STT_STUB_TEXT || 'This is a test voice note.', language: 'en' };
+}
+
+const PROVIDERS = {
+  deepgram: transcribeDeepgram,
+  openai:   transcribeOpenAI,
+  stub:     transcribeStub,
+};
+
+// ── Provider detection ──────────────────────────────────────────────────────
+function getProvider() {
+  const forced = process.env.STT_PROVIDER;
+  if (forced) return PROVIDERS[forced] ? forced : null;
+  if (process.env.DEEPGRAM_API_KEY) return 'deepgram';
+  if (process.env.OPENAI_API_KEY) return 'openai';
+  return null;
+}
+
+function isTranscriptionAvailable() {
+  return !!getProvider();
+}
+
+/**
+ * Transcribe an audio buffer.
+ *
+ * @param {Buffer} buffer
+ * @param {string} contentType - e.g. "audio/ogg" (WhatsApp voice notes are Opus in Ogg)
+ * @returns {{ text, language, provider }}
+ */
+async function transcribe(buffer, contentType) {
+  const provider = getProvider();
+  if (!provider) throw new Error('No speech-to-text provider configured (set DEEPGRAM_API_KEY or OPENAI_API_KEY)');
+
+  const start = Date.now();
+  const result = await PROVIDERS[provider](buffer, contentType);
+  const text = (result.text || '').trim();
+  console.log(`🎤 STT [${provider}] ${Date.now() - start}ms, ${buffer.length} bytes → ${text.length} chars`);
+  return { text, language: result.language || null, provider };
+}
+
+module.exports = { transcribe, isTranscriptionAvailable };
@@ -0,0 +1,405 @@
+/**
+ * Tasks — one row per action the assistant takes for a customer (calls,
+ * emails, texts, web tasks, reminders), so "did the restaurant call go
+ * through?" gets a grounded answer. Rows link to the underlying call /
+ * message / reminder ids and are updated as the action progresses — e.g. a
+ * call stays 'running' until the ElevenLabs post-call webhook completes it.
+ *
+ * Background queue — a Postgres-backed job queue for long-running tools.
+ *
+ * Tools like openclaw_task can take minutes. Instead of blocking the reply,
+ * the assistant enqueues them here and answers "I'm on it" straight away.
+ * Workers claim queued rows with FOR UPDATE SKIP LOCKED (safe with several
+ * API replicas), run the tool, and send the outcome to the customer as a
+ * follow-up WhatsApp message. The outcome is also written to the
+ * conversation history so the assistant knows how it went.
+ *
+ * Tasks are never retried: a web task may have placed an order before it
+ * failed, and running it again could buy twice. A task left 'running' by a
+ * crashed process is marked failed (and the customer told) instead.
+ */
+
+const { pool } = require('../db');
+const { logActivity, truncate } = require('./util');
+
+// Tools that run in the background instead of inline in handleMessage
+const BACKGROUND_TOOLS = ['openclaw_task'];
+
+// Tools tracked as tasks, and the task type each one records
+const TASK_TYPES = {
+  make_phone_call:   'call',
+  send_email:        'email',
+  send_text_message: 'sms',
+  set_reminder:      'reminder',
+  openclaw_task:     'web',
+};
+
+// Twilio call statuses that mean the call never happened
+const FAILED_CALL_STATUSES = ['busy', 'failed', 'no-answer', 'canceled'];
+
+const POLL_INTERVAL_MS = parseInt(process.env.TASK_POLL_MS) || 5 * 1000;
+const CONCURRENCY = parseInt(process.env.TASK_CONCURRENCY) || 3;
+const STALE_LOCK_MINUTES = 15;
+
+function isBackgroundTool(toolName) {
+  return BACKGROUND_TOOLS.includes(toolName);
+}
+
+function isTrackedTool(toolName) {
+  return toolName in TASK_TYPES;
+}
+
+function describeTask(toolName, input) {
+  switch (toolName) {
+    case 'make_phone_call':   return truncate(`Call ${input.to}: ${input.purpose || input.message}`, 200);
+    case 'send_email':        return truncate(`Email ${input.to}: ${input.subject}`, 200);
+    case 'send_text_message': return truncate(`Text ${input.to}: ${input.body}`, 200);
+    case 'set_reminder':      return truncate(`Reminder: ${input.message}`, 200);
+    default:                  return truncate(input.task || input.purpose || toolName, 200);
+  }
+}
+
+/**
+ * Queue a tool call to run in the background.
+ *
+ * @returns {object} The inserted tasks row
+ */
+async function enqueueTask(customerId, toolName, toolInput) {
+  const result = await pool.query(
+    `INSERT INTO tasks (customer_id, task_type, tool_name, tool_input, description)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [customerId, TASK_TYPES[toolName] || null, toolName, JSON.stringify(toolInput), describeTask(toolName, toolInput)]
+  );
+  const task = result.rows[0];
+  console.log(`🧵 Task #${task.id} queued: ${toolName} for customer ${customerId}`);
+
+  // Pick it up now rather than on the next tick if this process runs the worker
+  if (pollTimer) setImmediate(pollTasks);
+  return task;
+}
+
+/**
+ * Record a tool that ran inline. Calls stay 'running' until the post-call
+ * webhook reports back; everything else is finished when the tool returns.
+ * Never throws — tracking must not break the tool itself.
+ *
+ * @param {object} outcome - { result } on success or { error } on failure
+ * @returns {object|null} The inserted tasks row
+ */
+async function recordToolRun(customerId, toolName, toolInput, { result, error } = {}) {
+  const type = TASK_TYPES[toolName];
+  const status = error ? 'failed' : type === 'call' ? 'running' : 'completed';
+  try {
+    const inserted = await pool.query(
+      `INSERT INTO tasks (customer_id, task_type, tool_name, tool_input, description, status,
+                          result, error, call_sid, conversation_id, message_sid, email_message_id,
+                          reminder_id, started_at, completed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW(),
+               CASE WHEN $6 = 'running' THEN NULL ELSE NOW() END)
+       RETURNING *`,
+      [
+        customerId, type, toolName, JSON.stringify(toolInput), describeTask(toolName, toolInput), status,
+        result === undefined ? null : JSON.stringify(result), error || null,
+        result?.callSid || null, result?.conversationId || null,
+        toolName === 'send_text_message' ? result?.messageSid || null : null,
+        toolName === 'send_email' ? result?.messageId || null : null,
+        result?.reminder_id || null,
+      ]
+    );
+    return inserted.rows[0];
+  } catch (err) {
+    console.error(`🧵 Failed to record ${toolName} task:`, err.message);
+    return null;
+  }
+}
+
+async function getTask(customerId, taskId) {
+  const result = await pool.query(
+    `SELECT t.*, r.status AS reminder_status, r.remind_at AS reminder_remind_at
+     FROM tasks t LEFT JOIN reminders r ON r.id = t.reminder_id
+     WHERE t.id = $1 AND t.customer_id = $2`,
+    [taskId, customerId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * A customer's tasks, newest first. Reminder tasks carry the reminder's
+ * current status (it may have been delivered or cancelled since).
+ */
+async function listTasks(customerId, { type, status, limit = 20, offset = 0 } = {}) {
+  const result = await pool.query(
+    `SELECT t.*, r.status AS reminder_status, r.remind_at AS reminder_remind_at
+     FROM tasks t LEFT JOIN reminders r ON r.id = t.reminder_id
+     WHERE t.customer_id = $1
+       AND ($2::text IS NULL OR t.task_type = $2)
+       AND ($3::text IS NULL OR t.status = $3)
+     ORDER BY t.created_at DESC
+     LIMIT $4 OFFSET $5`,
+    [customerId, type || null, status || null, limit, offset]
+  );
+  return result.rows;
+}
+
+async function countTasks(customerId, { type, status } = {}) {
+  const result = await pool.query(
+    `SELECT COUNT(*) FROM tasks
+     WHERE customer_id = $1
+       AND ($2::text IS NULL OR task_type = $2)
+       AND ($3::text IS NULL OR status = $3)`,
+    [customerId, type || null, status || null]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+/**
+ * Cancel a task that hasn't started yet. Running tasks can't be stopped
+ * (a web task may be mid-checkout).
+ *
+ * @returns {{ cancelled: boolean, task } | null} null if there's no such task
+ */
+async function cancelTask(customerId, taskId) {
+  const result = await pool.query(
+    `UPDATE tasks SET status = 'cancelled', completed_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND customer_id = $2 AND status = 'queued'
+     RETURNING *`,
+    [taskId, customerId]
+  );
+  if (result.rows[0]) {
+    console.log(`🧵 Task #${taskId} cancelled by customer ${customerId}`);
+    return { cancelled: true, task: result.rows[0] };
+  }
+  const task = await getTask(customerId, taskId);
+  return task ? { cancelled: false, task } : null;
+}
+
+// ── Calls ───────────────────────────────────────────────────────────────────
+
+/**
+ * The call task for an ElevenLabs conversation, with the customer's WhatsApp
+ * number — lets the post-call webhook work even after a restart has wiped
+ * the in-memory pendingCalls map.
+ */
+async function findCallTask(conversationId) {
+  if (!conversationId) return null;
+  const result = await pool.query(
+    `SELECT t.*, c.whatsapp_from
+     FROM tasks t JOIN customers c ON c.id = t.customer_id
+     WHERE t.conversation_id = $1
+     ORDER BY t.created_at DESC LIMIT 1`,
+    [conversationId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Complete (with the call summary) or fail a running call task. Never throws.
+ */
+async function finishCallTask(conversationId, { summary, error } = {}) {
+  if (!conversationId) return null;
+  try {
+    const result = await pool.query(
+      `UPDATE tasks
+       SET status = $2, result = COALESCE($3, result), error = $4, completed_at = NOW(), updated_at = NOW()
+       WHERE conversation_id = $1 AND status = 'running'
+       RETURNING *`,
+      [conversationId, error ? 'failed' : 'completed', summary ? JSON.stringify({ summary }) : null, error || null]
+    );
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error(`🧵 Failed to update call task for ${conversationId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * For a call still marked running, ask Twilio where it's at. A call that was
+ * never answered is failed here, since no post-call summary will follow.
+ *
+ * @returns {string|null} Twilio's call status, if it could be fetched
+ */
+async function refreshCallTask(task) {
+  if (task.task_type !== 'call' || task.status !== 'running' || !task.call_sid) return null;
+  try {
+    const { getCallStatus } = require('./twilio-voice');
+    const call = await getCallStatus(task.call_sid);
+    if (FAILED_CALL_STATUSES.includes(call.status)) {
+      const updated = await finishCallTask(task.conversation_id, { error: `Call ${call.status.replace('-', ' ')}` });
+      if (updated) Object.assign(task, updated);
+    }
+    return call.status;
+  } catch (err) {
+    console.error(`🧵 Call status lookup failed for task #${task.id}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Task as reported to the assistant / customer.
+ */
+function describeTaskStatus(task, tz) {
+  const { formatLocalTime } = require('./recurrence');
+  let outcome = null;
+  if (task.result) {
+    outcome = task.result.summary || task.result.result
+      || (task.task_type === 'email' && task.result.messageId && `Sent (message id ${task.result.messageId})`)
+      || (task.task_type === 'sms' && task.result.messageSid && `Sent (SID ${task.result.messageSid})`)
+      || (task.task_type === 'reminder' && `Reminder #${task.reminder_id} scheduled`)
+      || JSON.stringify(task.result);
+  }
+  return {
+    task_id: task.id,
+    type: task.task_type || task.tool_name,
+    status: task.status,
+    description: task.description,
+    created: formatLocalTime(task.created_at, tz),
+    ...(task.completed_at && { finished: formatLocalTime(task.completed_at, tz) }),
+    ...(outcome && { outcome: truncate(outcome, 1000) }),
+    ...(task.error && { error: task.error }),
+    ...(task.reminder_status && {
+      reminder_status: task.reminder_status,
+      reminder_time: formatLocalTime(task.reminder_remind_at, tz),
+    }),
+  };
+}
+
+// ── Worker ──────────────────────────────────────────────────────────────────
+
+async function claimTasks(limit) {
+  const result = await pool.query(
+    `UPDATE tasks
+     SET status = 'running', locked_at = NOW(), started_at = NOW(), updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM tasks
+       WHERE status = 'queued'
+       ORDER BY created_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Fail tasks whose worker died mid-run (see header — no automatic re-run).
+ */
+async function failStaleTasks() {
+  const result = await pool.query(
+    `UPDATE tasks
+     SET status = 'failed', error = 'Interrupted before it finished (server restart)',
+         completed_at = NOW(), locked_at = NULL, updated_at = NOW()
+     WHERE status = 'running' AND locked_at < NOW() - INTERVAL '${STALE_LOCK_MINUTES} minutes'
+     RETURNING *`
+  );
+  for (const task of result.rows) {
+    console.error(`🧵 Task #${task.id} was interrupted — marked failed`);
+    await deliverOutcome(task);
+  }
+}
+
+function formatOutcome(task) {
+  if (task.status === 'completed') {
+    const output = typeof task.result?.result === 'string'
+      ? task.result.result
+      : JSON.stringify(task.result);
+    return `✅ Done: ${task.description}\n\n${output}`;
+  }
+  return `❌ I couldn't finish: ${task.description}\n\n${task.error}`;
+}
+
+/**
+ * Tell the customer how a task went and record it in conversation history.
+ */
+async function deliverOutcome(task) {
+  const message = formatOutcome(task);
+  const succeeded = task.status === 'completed';
+
+  // Results of web tasks are third-party text — kept marked as such in history
+  const { isUntrustedTool, wrapUntrusted, newMarkerId } = require('./untrusted');
+  const saved = isUntrustedTool(task.tool_name) ? wrapUntrusted(task.tool_name, message, newMarkerId()).content : message;
+
+  const { appendMessages } = require('./threads');
+  await appendMessages(task.customer_id, [
+    { role: 'assistant', content: `[Background task #${task.id}: ${task.tool_name} → ${succeeded ? 'success' : 'failed'}]\n\n${saved}` },
+  ]).catch(err => console.error('Task conversation save error:', err.message));
+
+  logActivity(task.customer_id, succeeded ? 'task_completed' : 'task_failed', `Task: ${task.description}`,
+    { task_id: task.id, tool: task.tool_name, error: task.error || undefined });
+
+  try {
+    const { sendToCustomer } = require('./whatsapp');
+    await sendToCustomer(task.customer_id, message, (succeeded && task.result?.attachments) || []);
+  } catch (err) {
+    console.error(`🧵 Task #${task.id} follow-up message failed:`, err.message);
+  }
+}
+
+async function runTask(task) {
+  const { executeTool } = require('./tools');
+  let update;
+  try {
+    const result = await executeTool(task.customer_id, task.tool_name, task.tool_input);
+    update = await pool.query(
+      `UPDATE tasks SET status = 'completed', result = $2, completed_at = NOW(), locked_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND status = 'running' RETURNING *`,
+      [task.id, JSON.stringify(result ?? null)]
+    );
+    console.log(`🧵 Task #${task.id} completed (${task.tool_name})`);
+  } catch (err) {
+    console.error(`🧵 Task #${task.id} FAILED (${task.tool_name}):`, err.message);
+    update = await pool.query(
+      `UPDATE tasks SET status = 'failed', error = $2, completed_at = NOW(), locked_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND status = 'running' RETURNING *`,
+      [task.id, err.message]
+    );
+  }
+  // No row means the stale sweep already failed it and told the customer
+  if (update.rows[0]) await deliverOutcome(update.rows[0]);
+}
+
+let running = 0;
+let polling = false;
+
+async function pollTasks() {
+  if (polling) return;
+  polling = true;
+  try {
+    await failStaleTasks();
+    const free = CONCURRENCY - running;
+    if (free <= 0) return;
+
+    const tasks = await claimTasks(free);
+    for (const task of tasks) {
+      running++;
+      runTask(task)
+        .catch(err => console.error(`Task #${task.id} error:`, err.message))
+        .finally(() => { running--; });
+    }
+  } catch (err) {
+    console.error('Task poll error:', err.message);
+  } finally {
+    polling = false;
+  }
+}
+
+let pollTimer = null;
+
+/**
+ * Start the background task worker. Call once after initDB().
+ */
+function startTaskWorker() {
+  if (pollTimer) return;
+  pollTimer = setInterval(pollTasks, POLL_INTERVAL_MS);
+  pollTasks();
+  console.log(`🧵 Task worker started (polling every ${Math.round(POLL_INTERVAL_MS / 1000)}s, concurrency ${CONCURRENCY})`);
+}
+
+module.exports = {
+  BACKGROUND_TOOLS, TASK_TYPES, isBackgroundTool, isTrackedTool,
+  enqueueTask, recordToolRun, getTask, listTasks, countTasks, cancelTask, describeTaskStatus,
+  findCallTask, finishCallTask, refreshCallTask,
+  startTaskWorker, pollTasks,
+};
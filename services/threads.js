@@ -0,0 +1,192 @@
+/**
+ * Conversation threads — splits a customer's message stream into sessions.
+ *
+ * Every conversations row belongs to a thread. A customer has at most one
+ * open thread; it is closed and a new one started when the customer has
+ * been idle for THREAD_IDLE_HOURS, or on an explicit reset (/reset on
+ * WhatsApp, or the portal). The assistant only sees the open thread's
+ * history (plus its rolling summary — see services/memory.js), so last
+ * week's travel planning doesn't leak into today's dinner booking.
+ *
+ * All writes to `conversations` go through appendMessages().
+ */
+
+const { pool } = require('../db');
+const { truncate } = require('./util');
+
+const THREAD_IDLE_HOURS = parseFloat(process.env.THREAD_IDLE_HOURS) || 6;
+const MAX_TITLE_LENGTH = 80;
+
+const THREAD_COLUMNS = `id, customer_id, title, summary, summarized_through_id,
+                        started_at, last_message_at, closed_at, close_reason, created_at`;
+
+function makeTitle(text) {
+  const s = String(text || '').replace(/\[[^\]]*\]/g, ' ').replace(/\s+/g, ' ').trim();
+  return s ? truncate(s, MAX_TITLE_LENGTH) : null;
+}
+
+async function closeThread(threadId, reason) {
+  await pool.query(
+    `UPDATE conversation_threads SET closed_at = NOW(), close_reason = $2
+     WHERE id = $1 AND closed_at IS NULL`,
+    [threadId, reason]
+  );
+}
+
+/**
+ * Open a new thread. The partial unique index allows only one open thread
+ * per customer, so if another request just opened one, that one is returned.
+ */
+async function openThread(customerId) {
+  const inserted = await pool.query(
+    `INSERT INTO conversation_threads (customer_id) VALUES ($1)
+     ON CONFLICT (customer_id) WHERE closed_at IS NULL DO NOTHING
+     RETURNING ${THREAD_COLUMNS}`,
+    [customerId]
+  );
+  if (inserted.rows[0]) return inserted.rows[0];
+
+  const existing = await pool.query(
+    `SELECT ${THREAD_COLUMNS} FROM conversation_threads WHERE customer_id = $1 AND closed_at IS NULL`,
+    [customerId]
+  );
+  return existing.rows[0];
+}
+
+/**
+ * First thread for a customer whose history predates threads: adopt the
+ * existing rows so they stay browsable (and in context, if recent).
+ */
+async function adoptLegacyHistory(customerId) {
+  const thread = await openThread(customerId);
+  const adopted = await pool.query(
+    `UPDATE conversations SET thread_id = $1 WHERE customer_id = $2 AND thread_id IS NULL
+     RETURNING created_at`,
+    [thread.id, customerId]
+  );
+  if (!adopted.rows.length) return thread;
+
+  const times = adopted.rows.map(r => new Date(r.created_at).getTime());
+  const result = await pool.query(
+    `UPDATE conversation_threads SET title = 'Earlier conversation', started_at = $2, last_message_at = $3
+     WHERE id = $1 RETURNING ${THREAD_COLUMNS}`,
+    [thread.id, new Date(Math.min(...times)), new Date(Math.max(...times))]
+  );
+  console.log(`🧵 Adopted ${adopted.rows.length} earlier messages into thread #${thread.id} for customer ${customerId}`);
+  return result.rows[0];
+}
+
+/**
+ * The customer's open thread — a new one if they have been idle longer
+ * than THREAD_IDLE_HOURS.
+ */
+async function getActiveThread(customerId) {
+  const result = await pool.query(
+    `SELECT ${THREAD_COLUMNS} FROM conversation_threads
+     WHERE customer_id = $1 AND closed_at IS NULL`,
+    [customerId]
+  );
+  let thread = result.rows[0];
+
+  if (!thread) {
+    const any = await pool.query('SELECT 1 FROM conversation_threads WHERE customer_id = $1 LIMIT 1', [customerId]);
+    thread = any.rows.length ? await openThread(customerId) : await adoptLegacyHistory(customerId);
+  }
+
+  const idleMs = Date.now() - new Date(thread.last_message_at).getTime();
+  if (idleMs > THREAD_IDLE_HOURS * 60 * 60 * 1000) {
+    await closeThread(thread.id, 'idle');
+    thread = await openThread(customerId);
+    console.log(`🧵 Customer ${customerId} idle ${Math.round(idleMs / 3600000)}h — started thread #${thread.id}`);
+  }
+  return thread;
+}
+
+/**
+ * Close the open thread and start a fresh one (explicit reset).
+ */
+async function startNewThread(customerId, reason = 'reset') {
+  const current = await pool.query(
+    'SELECT id FROM conversation_threads WHERE customer_id = $1 AND closed_at IS NULL',
+    [customerId]
+  );
+  if (current.rows[0]) await closeThread(current.rows[0].id, reason);
+  const thread = await openThread(customerId);
+  console.log(`🧵 Customer ${customerId} started thread #${thread.id} (${reason})`);
+  return thread;
+}
+
+/**
+ * Add rows to the customer's open thread.
+ *
+ * @param {Array<{ role: 'user'|'assistant', content: string }>} rows
+ * @returns {number} The thread id
+ */
+async function appendMessages(customerId, rows) {
+  const thread = await getActiveThread(customerId);
+  const values = rows.map((_, i) => `($1, $2, $${i * 2 + 3}, $${i * 2 + 4})`).join(', ');
+  await pool.query(
+    `INSERT INTO conversations (customer_id, thread_id, role, content) VALUES ${values}`,
+    [customerId, thread.id, ...rows.flatMap(r => [r.role, r.content])]
+  );
+
+  // Only customer messages count as activity for the idle split — reminders
+  // and task results arriving on their own would keep the thread open forever.
+  // The first customer message names the thread.
+  const firstUser = rows.find(r => r.role === 'user');
+  if (firstUser) {
+    await pool.query(
+      `UPDATE conversation_threads SET last_message_at = NOW(), title = COALESCE(title, $2) WHERE id = $1`,
+      [thread.id, thread.title ? null : makeTitle(firstUser.content)]
+    );
+  }
+  return thread.id;
+}
+
+// ── Browsing (portal) ───────────────────────────────────────────────────────
+
+async function listThreads(customerId, { limit = 20, offset = 0 } = {}) {
+  const result = await pool.query(
+    `SELECT t.id, t.title, t.started_at, t.last_message_at, t.closed_at, t.close_reason,
+            (SELECT COUNT(*) FROM conversations c WHERE c.thread_id = t.id)::int AS message_count
+     FROM conversation_threads t
+     WHERE t.customer_id = $1
+     ORDER BY t.last_message_at DESC
+     LIMIT $2 OFFSET $3`,
+    [customerId, limit, offset]
+  );
+  return result.rows;
+}
+
+async function countThreads(customerId) {
+  const result = await pool.query('SELECT COUNT(*) FROM conversation_threads WHERE customer_id = $1', [customerId]);
+  return parseInt(result.rows[0].count);
+}
+
+async function getThread(customerId, threadId) {
+  const result = await pool.query(
+    `SELECT id, title, summary, started_at, last_message_at, closed_at, close_reason
+     FROM conversation_threads WHERE id = $1 AND customer_id = $2`,
+    [threadId, customerId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * A thread's messages in order, paged by row id (?before=<id> for older).
+ */
+async function getThreadMessages(threadId, { limit = 100, before = null } = {}) {
+  const result = await pool.query(
+    `SELECT id, role, content, created_at FROM conversations
+     WHERE thread_id = $1 AND ($2::int IS NULL OR id < $2)
+     ORDER BY id DESC LIMIT $3`,
+    [threadId, before, limit]
+  );
+  return result.rows.reverse();
+}
+
+module.exports = {
+  THREAD_IDLE_HOURS,
+  getActiveThread, startNewThread, appendMessages,
+  listThreads, countThreads, getThread, getThreadMessages,
+};
@@ -0,0 +1,38 @@
+/**
+ * browser_action — one step in a headless browser. The session lives for
+ * the length of an assistant turn, so services/assistant.js runs these
+ * itself; the handler here only guards against other callers.
+ */
+
+module.exports = {
+  name: 'browser_action',
+  capability: 'browsing',
+  untrusted: true,
+  description: `Control a headless browser to interact with websites. Use for tasks that require filling forms, clicking buttons, or navigating multi-step flows (booking restaurants, ordering rides, making reservations, filling out web forms).
+
+Each call returns the page state: title, URL, visible text, form fields, and clickable elements. Use this to decide your next action.
+
+You have full authorization to complete purchases and bookings on behalf of the customer. Proceed with placing orders, confirming bookings, and submitting payments unless the total exceeds $100 — only then pause and confirm the amount.`,
+  input_schema: {
+    type: 'object',
+    properties: {
+      action: {
+        type: 'string',
+        enum: ['navigate', 'click', 'type', 'select', 'extract', 'wait', 'back', 'scroll'],
+        description: 'The browser action to perform',
+      },
+      url:          { type: 'string', description: 'URL to navigate to (for "navigate")' },
+      selector:     { type: 'string', description: 'CSS selector to target (for click, type, select)' },
+      text:         { type: 'string', description: 'Text to find element by (for click) or field label (for type)' },
+      value:        { type: 'string', description: 'Text to type (for "type") or option value (for "select")' },
+      direction:    { type: 'string', enum: ['up', 'down'], description: 'Scroll direction (for "scroll")' },
+      milliseconds: { type: 'integer', description: 'Wait duration in ms, max 5000 (for "wait")' },
+    },
+    required: ['action'],
+  },
+  http: false,
+
+  async handler() {
+    throw new Error('browser_action only runs inside an assistant turn');
+  },
+};
@@ -0,0 +1,31 @@
+/**
+ * cancel_reminder — cancel an upcoming reminder.
+ */
+
+const { logActivity } = require('./shared');
+
+module.exports = {
+  name: 'cancel_reminder',
+  capability: 'reminders',
+  description: 'Cancel an upcoming reminder. For a repeating reminder this stops the whole series.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      reminder_id: { type: 'integer', description: 'The reminder_id from set_reminder, list_reminders or a delivered reminder' },
+    },
+    required: ['reminder_id'],
+  },
+  rateLimit: { bucket: 'reminders', max: 30, windowMs: 15 * 60 * 1000 },
+  http: { method: 'delete', path: '/reminders/:reminder_id' },
+
+  async handler(customerId, toolInput) {
+    const { cancelReminder, getReminder } = require('../reminders');
+    const reminder = await cancelReminder(customerId, toolInput.reminder_id);
+    if (!reminder) {
+      const existing = await getReminder(customerId, toolInput.reminder_id);
+      throw new Error(existing ? `Reminder is already ${existing.status}` : 'Reminder not found');
+    }
+    logActivity(customerId, 'reminder_cancelled', `Reminder cancelled: ${reminder.message}`, { reminder_id: reminder.id });
+    return { cancelled: true, reminder_id: reminder.id, message: reminder.message };
+  },
+};
@@ -0,0 +1,32 @@
+/**
+ * create_calendar_event — add an event to the customer's Google Calendar.
+ */
+
+const { logActivity } = require('./shared');
+
+module.exports = {
+  name: 'create_calendar_event',
+  capability: 'calendar',
+  description: 'Create a new Google Calendar event.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      summary:     { type: 'string', description: 'Event title' },
+      start:       { type: 'string', description: 'Start time as ISO datetime' },
+      end:         { type: 'string', description: 'End time as ISO datetime (defaults to 1 hour after start)' },
+      location:    { type: 'string', description: 'Event location' },
+      description: { type: 'string', description: 'Event description/notes' },
+    },
+    required: ['summary', 'start'],
+  },
+  requires: ['google_calendar'],
+  rateLimit: { bucket: 'calendar', max: 30, windowMs: 15 * 60 * 1000 },
+  http: { method: 'post', path: '/calendar' },
+
+  async handler(customerId, toolInput) {
+    const { createEvent } = require('../google-calendar');
+    const event = await createEvent(customerId, toolInput);
+    logActivity(customerId, 'calendar_create', `Created event: "${toolInput.summary}"`);
+    return { event };
+  },
+};
@@ -0,0 +1,28 @@
+/**
+ * delete_calendar_event — remove a Google Calendar event.
+ */
+
+const { logActivity } = require('./shared');
+
+module.exports = {
+  name: 'delete_calendar_event',
+  capability: 'calendar',
+  description: 'Delete a Google Calendar event by its event ID.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      eventId: { type: 'string', description: 'The Google Calendar event ID to delete' },
+    },
+    required: ['eventId'],
+  },
+  requires: ['google_calendar'],
+  rateLimit: { bucket: 'calendar', max: 30, windowMs: 15 * 60 * 1000 },
+  http: { method: 'delete', path: '/calendar/:eventId' },
+
+  async handler(customerId, toolInput) {
+    const { deleteEvent } = require('../google-calendar');
+    await deleteEvent(customerId, toolInput.eventId);
+    logActivity(customerId, 'calendar_delete', `Deleted calendar event ${toolInput.eventId}`);
+    return { deleted: true };
+  },
+};
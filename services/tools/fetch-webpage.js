@@ -0,0 +1,37 @@
+/**
+ * fetch_webpage — text content of a public web page.
+ */
+
+const { logActivity } = require('./shared');
+
+module.exports = {
+  name: 'fetch_webpage',
+  capability: 'web',
+  untrusted: true,
+  description: 'Fetch and extract text content from a webpage URL.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      url:       { type: 'string', description: 'The URL to fetch (http/https only)' },
+      maxLength: { type: 'integer', description: 'Max characters of text to return (default 5000, max 10000)' },
+    },
+    required: ['url'],
+  },
+  rateLimit: { bucket: 'search', max: 60, windowMs: 15 * 60 * 1000 },
+  http: { method: 'post', path: '/fetch' },
+
+  validate(input) {
+    // Only allow http/https URLs
+    if (!/^https?:\/\//i.test(input.url)) return 'Only http/https URLs are allowed';
+    // Block internal/private network URLs (SSRF prevention)
+    if (/^https?:\/\/(localhost|127\.|10\.|172\.(1[6-9]|2\d|3[01])\.|192\.168\.)/i.test(input.url)) return 'Internal URLs are not allowed';
+    return null;
+  },
+
+  async handler(customerId, toolInput) {
+    const { fetchPage } = require('../web-search');
+    const result = await fetchPage(toolInput.url, Math.min(toolInput.maxLength || 5000, 10000));
+    logActivity(customerId, 'web_fetch', `Fetched: ${toolInput.url}`);
+    return result;
+  },
+};
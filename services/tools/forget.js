@@ -0,0 +1,41 @@
+/**
+ * forget — delete a remembered fact, by id or search.
+ */
+
+const { logActivity } = require('./shared');
+
+module.exports = {
+  name: 'forget',
+  description: 'Delete a remembered fact that is wrong, outdated or that the customer asks you to forget. Pass the memory_id shown in your memory list, or a query to find it.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      memory_id: { type: 'integer', description: 'The [#id] of the fact' },
+      query:     { type: 'string', description: 'Words to find the fact if no id (e.g. "gate code")' },
+    },
+  },
+  rateLimit: { bucket: 'memories', max: 30, windowMs: 15 * 60 * 1000 },
+  http: { method: 'post', path: '/memories/forget' },
+
+  validate(input) {
+    return input.memory_id || input.query ? null : 'Pass memory_id or query';
+  },
+
+  async handler(customerId, toolInput) {
+    const { deleteMemory, listMemories } = require('../memory');
+    let id = toolInput.memory_id;
+    if (!id) {
+      const matches = await listMemories(customerId, { query: toolInput.query, limit: 5 });
+      if (!matches.length) return { forgotten: false, message: 'No matching memory found' };
+      // Don't guess between several — let the assistant pick
+      if (matches.length > 1) {
+        return { forgotten: false, matches: matches.map(m => ({ memory_id: m.id, fact: m.content })), message: 'Several memories match — call forget again with the right memory_id' };
+      }
+      id = matches[0].id;
+    }
+    const memory = await deleteMemory(customerId, id);
+    if (!memory) throw new Error(`Memory #${id} not found`);
+    logActivity(customerId, 'memory_deleted', `Forgot: "${memory.content}"`, { memory_id: memory.id });
+    return { forgotten: true, memory_id: memory.id, fact: memory.content };
+  },
+};
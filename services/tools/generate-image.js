@@ -0,0 +1,50 @@
+/**
+ * generate_image — DALL-E image, stored and sent as a WhatsApp image.
+ */
+
+const { logActivity } = require('./shared');
+
+module.exports = {
+  name: 'generate_image',
+  capability: 'images',
+  description: 'Generate an image from a text description using AI. Use when the customer asks to create, draw, or generate an image.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      prompt: { type: 'string', description: 'Description of the image to generate' },
+      size:   { type: 'string', description: 'Image size: "1024x1024", "1792x1024", or "1024x1792"' },
+    },
+    required: ['prompt'],
+  },
+  requires: ['openai'],
+  rateLimit: { bucket: 'image', max: 10, windowMs: 15 * 60 * 1000 },
+  http: { method: 'post', path: '/image' },
+
+  async handler(customerId, toolInput) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    const resp = await fetch('https://api.openai.com/v1/images/generations', {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: 'dall-e-3',
+        prompt: toolInput.prompt,
+        n: 1,
+        size: toolInput.size || '1024x1024',
+        response_format: 'b64_json',
+      }),
+    });
+    if (!resp.ok) throw new Error(`Image generation failed: ${resp.status}`);
+    const data = await resp.json();
+    const imageData = data.data?.[0]?.b64_json;
+    if (!imageData) throw new Error('No image returned');
+    // Sent as a real WhatsApp image, not a link that expires in an hour
+    const { storeMedia } = require('../media-store');
+    const image = await storeMedia(customerId, {
+      buffer: Buffer.from(imageData, 'base64'),
+      contentType: 'image/png',
+      filename: 'image.png',
+    });
+    logActivity(customerId, 'image_generated', `Generated image: "${toolInput.prompt}"`);
+    return { prompt: toolInput.prompt, attachments: [image] };
+  },
+};
@@ -0,0 +1,50 @@
+/**
+ * get_task_status — status of calls, messages and background tasks
+ * (services/tasks.js). The status is the server's own record; only the
+ * results of untrusted tools (web tasks) are wrapped as third-party text.
+ */
+
+module.exports = {
+  name: 'get_task_status',
+  description: 'Look up what actually happened with the customer\'s recent actions — phone calls, emails, texts, web tasks and reminders — including call outcomes. Use whenever the customer asks whether something went through ("did the restaurant call go through?", "did my order get placed?"). Answer ONLY from what this returns.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      task_id: { type: 'integer', description: 'A specific task_id (from an earlier tool result), if known' },
+      type:    { type: 'string', enum: ['call', 'email', 'sms', 'web', 'reminder'], description: 'Only tasks of this type' },
+      limit:   { type: 'integer', description: 'How many recent tasks to return (default 5, max 20)' },
+    },
+  },
+  rateLimit: { bucket: 'tasks', max: 60, windowMs: 15 * 60 * 1000 },
+  http: { method: 'get', path: '/tasks' },
+
+  async handler(customerId, toolInput) {
+    const { getTask, listTasks, refreshCallTask, describeTaskStatus } = require('../tasks');
+    const { getCustomerTimezone } = require('../reminders');
+    const { isUntrustedTool, wrapUntrusted, newMarkerId } = require('../untrusted');
+    const tz = await getCustomerTimezone(customerId);
+    const markerId = newMarkerId();
+
+    let tasks;
+    if (toolInput.task_id) {
+      const task = await getTask(customerId, toolInput.task_id);
+      if (!task) throw new Error(`Task ${toolInput.task_id} not found`);
+      tasks = [task];
+    } else {
+      const limit = Math.min(20, Math.max(1, parseInt(toolInput.limit) || 5));
+      tasks = await listTasks(customerId, { type: toolInput.type, limit });
+    }
+
+    // Calls still in progress: ask Twilio for the live status
+    const described = [];
+    for (const task of tasks) {
+      const callStatus = await refreshCallTask(task);
+      const status = describeTaskStatus(task, tz);
+      if (status.outcome && isUntrustedTool(task.tool_name)) {
+        status.outcome = wrapUntrusted(task.tool_name, status.outcome, markerId).content;
+      }
+      described.push({ ...status, ...(callStatus && { live_call_status: callStatus }) });
+    }
+    return { tasks: described };
+  },
+};
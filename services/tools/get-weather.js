@@ -0,0 +1,40 @@
+/**
+ * get_weather — current conditions from wttr.in.
+ */
+
+const { logActivity } = require('./shared');
+
+module.exports = {
+  name: 'get_weather',
+  description: 'Get the current weather for a location. Use when the customer asks about weather.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      location: { type: 'string', description: 'City name or location (e.g. "New York", "London, UK")' },
+    },
+    required: ['location'],
+  },
+  rateLimit: { bucket: 'search', max: 60, windowMs: 15 * 60 * 1000 },
+  http: { method: 'get', path: '/weather' },
+
+  async handler(customerId, toolInput) {
+    const axios = require('axios');
+    const loc = encodeURIComponent(toolInput.location);
+    const resp = await axios.get(`https://wttr.in/${loc}?format=j1`, { timeout: 5000 });
+    const cur = resp.data.current_condition?.[0] || {};
+    const area = resp.data.nearest_area?.[0] || {};
+    const areaName = area.areaName?.[0]?.value || toolInput.location;
+    const result = {
+      location: areaName,
+      temp_f: cur.temp_F,
+      temp_c: cur.temp_C,
+      feels_like_f: cur.FeelsLikeF,
+      condition: cur.weatherDesc?.[0]?.value || 'Unknown',
+      humidity: cur.humidity + '%',
+      wind_mph: cur.windspeedMiles,
+      wind_dir: cur.winddir16Point,
+    };
+    logActivity(customerId, 'weather_check', `Weather for ${areaName}: ${result.condition}, ${result.temp_f}°F`);
+    return result;
+  },
+};
@@ -0,0 +1,220 @@
+/**
+ * Tool registry — one module per tool, shared by the assistant and the
+ * Tools API.
+ *
+ * Each module in this directory exports:
+ *   name, description, input_schema   Claude tool definition
+ *   capability   capability group it belongs to (services/capabilities.js),
+ *                optional — tools without one are always on
+ *   recipients   input fields holding who the tool contacts — checked against
+ *                the recipient policy (services/recipients.js), optional
+ *   untrusted    true if the output carries third-party text (web pages, task
+ *                results) — see services/untrusted.js, optional
+ *   requires     integrations it needs (see INTEGRATIONS), optional
+ *   rateLimit    { bucket, max, windowMs } for the Tools API, optional
+ *   http         { method, path, prepare? } route under /api/tools/:customerId,
+ *                or false for assistant-only tools
+ *   validate     (input) → error message or null, optional — on top of the
+ *                schema checks done here
+ *   handler      async (customerId, input) → result
+ *
+ * services/assistant.js builds Claude's tool list from toolDefinitions() and
+ * runs tools through executeTool(); routes/tools.js generates its routes
+ * from httpTools(). Adding a tool = adding a module and listing it below.
+ *
+ * executeTool() is the single gate every caller goes through: it rejects
+ * tools whose capability is turned off for the customer and recipients the
+ * recipient policy blocks, and records who was contacted.
+ */
+
+const { pool } = require('../../db');
+
+// Claude sees tools in this order
+const TOOL_MODULES = [
+  'send-email', 'make-phone-call', 'web-search', 'fetch-webpage',
+  'list-calendar-events', 'create-calendar-event', 'delete-calendar-event', 'send-calendar-invite',
+  'send-text-message', 'get-weather',
+  'set-reminder', 'list-reminders', 'cancel-reminder', 'snooze-reminder', 'update-reminder',
+  'get-task-status', 'set-voice-replies', 'update-profile',
+  'remember', 'forget', 'recall',
+  'generate-image', 'browser-action', 'openclaw-task',
+];
+
+const TOOLS = new Map(TOOL_MODULES.map(file => {
+  const tool = require(`./${file}`);
+  return [tool.name, tool];
+}));
+
+const DEFAULT_RATE_LIMIT = { max: 30, windowMs: 15 * 60 * 1000 };
+
+// ── Integrations ────────────────────────────────────────────────────────────
+
+// Platform integrations are configured once via env; tools needing a missing
+// one are left out of Claude's tool list. Customer integrations are checked
+// per call.
+const INTEGRATIONS = {
+  search: {
+    configured: () => !!(process.env.BRAVE_SEARCH_API_KEY || process.env.SERP_API_KEY),
+    error: 'Web search is not configured (BRAVE_SEARCH_API_KEY or SERP_API_KEY required)',
+  },
+  openai: {
+    configured: () => !!process.env.OPENAI_API_KEY,
+    error: 'Image generation not configured (OPENAI_API_KEY required)',
+  },
+  sms: {
+    configured: () => !!process.env.TWILIO_PHONE_NUMBER,
+    error: 'TWILIO_PHONE_NUMBER not configured',
+  },
+  openclaw: {
+    configured: () => !!process.env.OPENCLAW_URL,
+    error: 'OpenClaw is not configured (OPENCLAW_URL not set)',
+  },
+  google_calendar: {
+    customer: true,
+    connected: async (customerId) => {
+      const result = await pool.query(
+        'SELECT google_calendar_token IS NOT NULL AS connected FROM customer_profiles WHERE customer_id=$1',
+        [customerId]
+      );
+      return !!result.rows[0]?.connected;
+    },
+    error: 'Google Calendar not connected — the customer can connect it from the Kova portal',
+  },
+};
+
+function platformReady(tool) {
+  return (tool.requires || []).every(name => INTEGRATIONS[name].customer || INTEGRATIONS[name].configured());
+}
+
+async function checkIntegrations(customerId, tool) {
+  for (const name of tool.requires || []) {
+    const integration = INTEGRATIONS[name];
+    const ready = integration.customer ? await integration.connected(customerId) : integration.configured();
+    if (!ready) throw new Error(integration.error);
+  }
+}
+
+// ── Validation ──────────────────────────────────────────────────────────────
+
+const TYPE_CHECKS = {
+  string:  v => typeof v === 'string',
+  integer: v => Number.isInteger(v),
+  number:  v => typeof v === 'number' && Number.isFinite(v),
+  boolean: v => typeof v === 'boolean',
+  array:   v => Array.isArray(v),
+  object:  v => v !== null && typeof v === 'object' && !Array.isArray(v),
+};
+
+/**
+ * Coerce string values (query strings, path params, loosely typed JSON) to
+ * the types the schema declares. Returns a new object.
+ */
+function normalizeInput(tool, input = {}) {
+  const props = tool.input_schema.properties || {};
+  const out = { ...input };
+  for (const [key, value] of Object.entries(out)) {
+    if (typeof value !== 'string') continue;
+    const type = props[key]?.type;
+    if ((type === 'integer' || type === 'number') && value.trim() !== '' && !isNaN(value)) out[key] = Number(value);
+    if (type === 'boolean' && /^(true|false)$/i.test(value)) out[key] = value.toLowerCase() === 'true';
+  }
+  return out;
+}
+
+/**
+ * Check input against the tool's schema and its own validate(). Returns an
+ * error message, or null.
+ */
+function validateToolInput(tool, input) {
+  if (!input || typeof input !== 'object') return 'Input must be an object';
+  const { properties = {}, required = [] } = tool.input_schema;
+
+  const missing = required.filter(key => input[key] === undefined || input[key] === null);
+  if (missing.length) return `Missing required fields: ${missing.join(', ')}`;
+
+  for (const [key, value] of Object.entries(input)) {
+    const spec = properties[key];
+    if (!spec || value === undefined || value === null) continue;
+    if (spec.type && TYPE_CHECKS[spec.type] && !TYPE_CHECKS[spec.type](value)) return `${key} must be ${spec.type === 'integer' ? 'an' : 'a'} ${spec.type}`;
+    if (spec.enum && !spec.enum.includes(value)) return `${key} must be one of: ${spec.enum.join(', ')}`;
+  }
+  return tool.validate ? tool.validate(input) : null;
+}
+
+// ── Public API ──────────────────────────────────────────────────────────────
+
+function getTool(name) {
+  return TOOLS.get(name) || null;
+}
+
+/**
+ * Claude tool definitions for every tool whose platform integrations are set
+ * up — and, given a customer's enabled capabilities, that they may use.
+ *
+ * @param {{ capabilities?: Set<string> }} [options]
+ */
+function toolDefinitions({ capabilities = null } = {}) {
+  return [...TOOLS.values()]
+    .filter(platformReady)
+    .filter(tool => !capabilities || !tool.capability || capabilities.has(tool.capability))
+    .map(({ name, description, input_schema }) => ({ name, description, input_schema }));
+}
+
+/**
+ * Names of the tools in a capability group.
+ */
+function capabilityTools(capability) {
+  return [...TOOLS.values()].filter(tool => tool.capability === capability).map(tool => tool.name);
+}
+
+/**
+ * Tools exposed on the Tools API, with their rate limit filled in.
+ */
+function httpTools() {
+  return [...TOOLS.values()]
+    .filter(tool => tool.http)
+    .map(tool => ({ ...tool, rateLimit: { bucket: tool.name, ...DEFAULT_RATE_LIMIT, ...tool.rateLimit } }));
+}
+
+/**
+ * Validate and run a tool. Throws on an unknown tool, invalid input, a
+ * disabled capability, a blocked recipient, a missing integration, or a
+ * failure in the tool itself.
+ *
+ * @param {{ source?: string }} [options] - 'assistant' or 'tools_api', for the abuse log
+ */
+async function executeTool(customerId, toolName, toolInput, { source = 'assistant' } = {}) {
+  const tool = getTool(toolName);
+  if (!tool) throw new Error(`Unknown tool: ${toolName}`);
+
+  const input = normalizeInput(tool, toolInput);
+  const error = validateToolInput(tool, input);
+  if (error) throw new Error(error);
+  const { assertToolEnabled } = require('../capabilities');
+  await assertToolEnabled(customerId, tool);
+  await checkIntegrations(customerId, tool);
+  if (!tool.recipients) return tool.handler(customerId, input);
+
+  // New recipients hold a slot of the daily cap while the tool runs
+  const { reserveRecipients, releaseRecipients, recordRecipients } = require('../recipients');
+  const reserved = await reserveRecipients(customerId, tool, input, { source });
+  let result;
+  try {
+    result = await tool.handler(customerId, input);
+  } catch (err) {
+    await releaseRecipients(customerId, reserved).catch(e => console.error('Recipient release error:', e.message));
+    throw err;
+  }
+  await recordRecipients(customerId, tool, input).catch(err => console.error('Recipient record error:', err.message));
+  return result;
+}
+
+module.exports = {
+  getTool,
+  toolDefinitions,
+  capabilityTools,
+  httpTools,
+  normalizeInput,
+  validateToolInput,
+  executeTool,
+};
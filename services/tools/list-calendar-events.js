@@ -0,0 +1,31 @@
+/**
+ * list_calendar_events — upcoming Google Calendar events.
+ */
+
+const { logActivity } = require('./shared');
+
+module.exports = {
+  name: 'list_calendar_events',
+  capability: 'calendar',
+  description: 'List upcoming Google Calendar events for the customer.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      maxResults: { type: 'integer', description: 'Max events to return (default 10)' },
+      timeMin:    { type: 'string', description: 'Only events after this ISO datetime' },
+    },
+  },
+  requires: ['google_calendar'],
+  rateLimit: { bucket: 'calendar', max: 30, windowMs: 15 * 60 * 1000 },
+  http: { method: 'get', path: '/calendar' },
+
+  async handler(customerId, toolInput) {
+    const { listEvents } = require('../google-calendar');
+    const events = await listEvents(customerId, {
+      maxResults: Math.min(toolInput.maxResults || 10, 50),
+      timeMin: toolInput.timeMin,
+    });
+    logActivity(customerId, 'calendar_list', `Listed ${events.length} calendar events`);
+    return { events };
+  },
+};
@@ -0,0 +1,24 @@
+/**
+ * list_reminders — the customer's reminders in their timezone.
+ */
+
+module.exports = {
+  name: 'list_reminders',
+  capability: 'reminders',
+  description: 'List the customer\'s reminders with their reminder_id, local time and recurrence. Use to find the reminder the customer means before cancelling or editing it ("cancel my reminder about mom").',
+  input_schema: {
+    type: 'object',
+    properties: {
+      include_past: { type: 'boolean', description: 'Also include delivered, failed and cancelled reminders (default false)' },
+    },
+  },
+  rateLimit: { bucket: 'reminders', max: 60, windowMs: 15 * 60 * 1000 },
+  http: { method: 'get', path: '/reminders' },
+
+  async handler(customerId, toolInput) {
+    const { listReminders, getCustomerTimezone, describeReminder } = require('../reminders');
+    const tz = await getCustomerTimezone(customerId);
+    const reminders = await listReminders(customerId, { includePast: !!toolInput.include_past });
+    return { timezone: tz, reminders: reminders.map(r => describeReminder(r, tz)) };
+  },
+};
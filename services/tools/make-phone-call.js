@@ -0,0 +1,45 @@
+/**
+ * make_phone_call — a two-way AI phone call (ElevenLabs), summarized on
+ * WhatsApp afterwards.
+ */
+
+const { logActivity, validatePhone } = require('./shared');
+
+module.exports = {
+  name: 'make_phone_call',
+  capability: 'calls',
+  recipients: ['to'],
+  description: 'Make an outbound phone call and have a real two-way conversation. The AI will call the number, deliver your initial message, then listen and respond naturally in a back-and-forth conversation. Use this for booking reservations, canceling appointments, making inquiries, or any task that requires a phone conversation. A summary will be sent via WhatsApp when the call ends.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      to:          { type: 'string', description: 'Phone number in E.164 format (e.g. +14155551234)' },
+      message:     { type: 'string', description: 'Initial greeting to speak when the call connects' },
+      purpose:     { type: 'string', description: 'The goal of this call — what should be accomplished (e.g. "book a table for 4 at 7pm tonight", "cancel the appointment on Friday")' },
+      task:        { type: 'string', description: 'Structured task description (e.g. "Book a dinner reservation at Olive Garden")' },
+      preferences: { type: 'string', description: 'Customer preferences for this call (e.g. "Party of 4, Saturday, 7pm preferred, prefer a booth, no shellfish allergy")' },
+    },
+    required: ['to', 'message', 'purpose'],
+  },
+  rateLimit: { bucket: 'call', max: 10, windowMs: 15 * 60 * 1000 },
+  // Tools API callers may send just { to, message }
+  http: { method: 'post', path: '/call', prepare: input => ({ purpose: input.message, ...input }) },
+
+  validate(input) {
+    return validatePhone(input.to);
+  },
+
+  async handler(customerId, toolInput) {
+    const { makeCall } = require('../twilio-voice');
+    const result = await makeCall({
+      to: toolInput.to,
+      message: toolInput.message,
+      purpose: toolInput.purpose,
+      task: toolInput.task || toolInput.purpose,
+      preferences: toolInput.preferences || '',
+      customerId,
+    });
+    logActivity(customerId, 'phone_call', `Conversational call to ${toolInput.to}: ${toolInput.purpose || toolInput.message}`);
+    return result;
+  },
+};
@@ -0,0 +1,132 @@
+/**
+ * openclaw_task — long-running browser task on the OpenClaw bridge, with the
+ * customer's saved app credentials. Runs as a background task
+ * (services/tasks.js); assistant only.
+ */
+
+const { pool } = require('../../db');
+const { logActivity } = require('./shared');
+
+// OpenClaw is asked to finish within 120s; give the HTTP call a margin on top
+const OPENCLAW_FETCH_TIMEOUT_MS = 150 * 1000;
+
+module.exports = {
+  name: 'openclaw_task',
+  capability: 'browsing',
+  untrusted: true,
+  description: `Use OpenClaw to autonomously browse the web and complete complex tasks. OpenClaw opens a real browser and interacts with real websites — booking rides, ordering food, filling forms, shopping, making reservations, checking availability, and any other web-based task.
+
+Use this tool instead of browser_action when the task requires multiple steps, logging into a website, or completing a full workflow (e.g. booking a restaurant on OpenTable, ordering food on DoorDash, booking a ride on Uber). OpenClaw handles the entire flow autonomously. It runs in the background: you get a task_id right away, and the result is sent to the customer as a follow-up message when it finishes.
+
+You have full authorization to complete purchases and bookings — don't ask the customer for permission yourself. If they require approval for web tasks, the call comes back with status "awaiting_approval" and only runs once they reply YES. Within the task, only stop to confirm if the total exceeds $100.`,
+  input_schema: {
+    type: 'object',
+    properties: {
+      task:            { type: 'string', description: 'Full description of what to do (e.g. "Book a table for 4 at Olive Garden on OpenTable for Saturday 7pm, name: John Smith, special request: nut allergy")' },
+      url:             { type: 'string', description: 'Starting URL if known (e.g. "https://www.opentable.com")' },
+      credentials_app: { type: 'string', description: 'Which connected app credentials to use for login (e.g. "uber", "doordash", "amazon", "opentable"). Only use if the customer has connected this app.' },
+    },
+    required: ['task'],
+  },
+  requires: ['openclaw'],
+  http: false,
+
+  async handler(customerId, toolInput) {
+    const OPENCLAW_URL = process.env.OPENCLAW_URL;
+
+    const { getCredentialsForTask, getRelevantCredentials } = require('../connected-apps');
+
+    // Build the full task message
+    let taskMessage = toolInput.task;
+    if (toolInput.url) {
+      taskMessage = `Start at ${toolInput.url}. ${taskMessage}`;
+    }
+
+    // Gather credentials — explicit app or auto-detected from task message
+    let appCredentials = [];
+    if (toolInput.credentials_app) {
+      const creds = await getCredentialsForTask(customerId, toolInput.credentials_app);
+      if (creds) {
+        appCredentials.push({ app: toolInput.credentials_app, ...creds });
+      }
+    } else {
+      // Auto-detect relevant apps from the task message
+      appCredentials = await getRelevantCredentials(customerId, taskMessage);
+    }
+
+    // Separate cookies and login credentials
+    const cookieApps = appCredentials.filter(a => a.auth_type === 'cookies');
+    const loginApps = appCredentials.filter(a => a.auth_type !== 'cookies');
+
+    // Build auth instructions prefix
+    let authInstructions = '';
+    if (cookieApps.length > 0) {
+      authInstructions += 'AUTHENTICATION: Browser cookies are provided and have been injected into the browser session. You are ALREADY LOGGED IN — do NOT try to log in again with username/password. Do NOT navigate to any login page. Go directly to the app and start the task.\n\n';
+    } else if (loginApps.length > 0) {
+      authInstructions += 'AUTHENTICATION: Username/password credentials are provided. Navigate to the login page and log in first, then proceed with the task.\n\n';
+    }
+
+    // Also include customer profile info for the task
+    const custResult = await pool.query('SELECT name FROM customers WHERE id=$1', [customerId]);
+    const custName = custResult.rows[0]?.name || 'the customer';
+    taskMessage = `${authInstructions}You are completing this task on behalf of ${custName}. ${taskMessage}`;
+
+    // Build cookies array for the request body
+    const allCookies = cookieApps.flatMap(a => {
+      const c = a.cookies;
+      return Array.isArray(c) ? c : [];
+    });
+
+    // Build credentials array for login-based apps (backward compatible)
+    const loginCredentials = loginApps.map(a => ({
+      app: a.app,
+      credentials: { username: a.username, password: a.password },
+    }));
+
+    console.log(`[OPENCLAW] Sending task for customer ${customerId}: ${taskMessage.substring(0, 200)}`,
+      appCredentials.length ? `(with ${appCredentials.length} credential set(s), ${cookieApps.length} cookie-based)` : '(no credentials)');
+
+    // Send to OpenClaw bridge with credentials and/or cookies
+    const requestBody = {
+      message: taskMessage,
+      timeout: 120,
+    };
+    if (loginCredentials.length > 0) requestBody.credentials = loginCredentials;
+    if (allCookies.length > 0) requestBody.cookies = allCookies;
+
+    // Client-side timeout a little past the bridge's own, so a hung bridge can't stall the worker
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), OPENCLAW_FETCH_TIMEOUT_MS);
+    let response;
+    try {
+      response = await fetch(`${OPENCLAW_URL}/browse`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(requestBody),
+        signal: controller.signal,
+      });
+    } catch (err) {
+      if (err.name === 'AbortError') throw new Error(`OpenClaw timed out after ${Math.round(OPENCLAW_FETCH_TIMEOUT_MS / 1000)}s`);
+      throw err;
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    if (!response.ok) {
+      const errBody = await response.text();
+      throw new Error(`OpenClaw returned ${response.status}: ${errBody}`);
+    }
+
+    const result = await response.json();
+    logActivity(customerId, 'openclaw_task', `OpenClaw task: ${toolInput.task.substring(0, 200)}`, {
+      task: toolInput.task,
+      url: toolInput.url,
+      credentials_app: toolInput.credentials_app,
+      auth_type: cookieApps.length > 0 ? 'cookies' : 'credentials',
+      response_length: result.response?.length || 0,
+    });
+
+    console.log(`[OPENCLAW] Task completed for customer ${customerId}: ${(result.response || '').substring(0, 200)}`);
+    return { result: result.response || 'Task completed but no output was returned.' };
+  },
+};
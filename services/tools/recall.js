@@ -0,0 +1,25 @@
+/**
+ * recall — search remembered facts.
+ */
+
+module.exports = {
+  name: 'recall',
+  description: 'Search everything you remember about the customer, beyond the facts shown in your prompt. Use when they ask "what do you know about...", "what was my...".',
+  input_schema: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'What to look for (leave empty to list recent facts)' },
+    },
+  },
+  rateLimit: { bucket: 'memories', max: 60, windowMs: 15 * 60 * 1000 },
+  http: { method: 'get', path: '/memories' },
+
+  async handler(customerId, toolInput) {
+    const { listMemories } = require('../memory');
+    const memories = await listMemories(customerId, { query: toolInput.query || null, limit: 20 });
+    return {
+      count: memories.length,
+      memories: memories.map(m => ({ memory_id: m.id, fact: m.content, category: m.category })),
+    };
+  },
+};
@@ -0,0 +1,27 @@
+/**
+ * remember — save a lasting fact about the customer (services/memory.js).
+ */
+
+const { logActivity } = require('./shared');
+
+module.exports = {
+  name: 'remember',
+  description: 'Save a lasting fact about the customer or their life so you know it in future conversations ("my daughter\'s name is Ana", "I\'m allergic to sesame", "my gate code is 4412"). Use whenever they share something worth remembering or say "remember that...". One fact per call.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      fact:     { type: 'string', description: 'The fact, as a short standalone sentence (e.g. "Daughter\'s name is Ana")' },
+      category: { type: 'string', description: 'Optional: family, health, food, travel, home, work, other' },
+    },
+    required: ['fact'],
+  },
+  rateLimit: { bucket: 'memories', max: 30, windowMs: 15 * 60 * 1000 },
+  http: { method: 'post', path: '/memories' },
+
+  async handler(customerId, toolInput) {
+    const { addMemory } = require('../memory');
+    const memory = await addMemory(customerId, toolInput.fact, { category: toolInput.category || null });
+    logActivity(customerId, 'memory_saved', `Remembered: "${memory.content}"`, { memory_id: memory.id });
+    return { remembered: true, memory_id: memory.id, fact: memory.content };
+  },
+};
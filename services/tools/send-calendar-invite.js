@@ -0,0 +1,44 @@
+/**
+ * send_calendar_invite — an .ics invite sent as a WhatsApp file (no calendar
+ * connection needed).
+ */
+
+const { logActivity } = require('./shared');
+
+module.exports = {
+  name: 'send_calendar_invite',
+  capability: 'calendar',
+  description: 'Send the customer a calendar invite (.ics file) they can add to any calendar app with one tap. Use for bookings, flights and itineraries, or when they want an event but have no Google Calendar connected.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      summary:     { type: 'string', description: 'Event title' },
+      start:       { type: 'string', description: 'Start as a local ISO datetime in the customer\'s timezone, no offset (e.g. "2026-02-20T19:30:00")' },
+      end:         { type: 'string', description: 'End as a local ISO datetime (defaults to 1 hour after start)' },
+      location:    { type: 'string', description: 'Event location' },
+      description: { type: 'string', description: 'Notes, e.g. confirmation number' },
+    },
+    required: ['summary', 'start'],
+  },
+  rateLimit: { bucket: 'calendar', max: 30, windowMs: 15 * 60 * 1000 },
+  http: { method: 'post', path: '/calendar/invite' },
+
+  async handler(customerId, toolInput) {
+    const { getCustomerTimezone } = require('../reminders');
+    const { parseLocalDateTime, formatLocalTime } = require('../recurrence');
+    const { buildIcs } = require('../ics');
+    const { storeMedia } = require('../media-store');
+    const tz = await getCustomerTimezone(customerId);
+    const start = parseLocalDateTime(toolInput.start, tz);
+    if (!start) throw new Error('Invalid start time');
+    const end = toolInput.end ? parseLocalDateTime(toolInput.end, tz) : null;
+    if (toolInput.end && (!end || end <= start)) throw new Error('Invalid end time');
+    const invite = await storeMedia(customerId, {
+      buffer: buildIcs({ ...toolInput, start, end }),
+      contentType: 'text/calendar',
+      filename: `${toolInput.summary.replace(/[^\w -]/g, '').trim().slice(0, 60) || 'event'}.ics`,
+    });
+    logActivity(customerId, 'calendar_invite', `Calendar invite: "${toolInput.summary}"`);
+    return { summary: toolInput.summary, local_start: formatLocalTime(start, tz), attachments: [invite] };
+  },
+};
@@ -0,0 +1,39 @@
+/**
+ * send_email — email on the customer's behalf (their Gmail, else platform
+ * SMTP).
+ */
+
+const { logActivity } = require('./shared');
+const { EMAIL_PATTERN } = require('../util');
+
+module.exports = {
+  name: 'send_email',
+  capability: 'email',
+  recipients: ['to', 'cc', 'bcc'],
+  description: 'Send an email on behalf of the customer. Use their Gmail if configured, otherwise the platform SMTP.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      to:      { type: 'string', description: 'Recipient email address' },
+      subject: { type: 'string', description: 'Email subject line' },
+      body:    { type: 'string', description: 'Email body text' },
+      cc:      { type: 'string', description: 'CC recipients (optional)' },
+      bcc:     { type: 'string', description: 'BCC recipients (optional)' },
+    },
+    required: ['to', 'subject', 'body'],
+  },
+  rateLimit: { bucket: 'email', max: 20, windowMs: 15 * 60 * 1000 },
+  http: { method: 'post', path: '/email' },
+
+  validate(input) {
+    if (!EMAIL_PATTERN.test(input.to)) return 'Invalid email address format';
+    return null;
+  },
+
+  async handler(customerId, toolInput) {
+    const { sendEmail } = require('../email');
+    const result = await sendEmail(customerId, toolInput);
+    logActivity(customerId, 'email_sent', `Email sent to ${toolInput.to}: "${toolInput.subject}"`);
+    return result;
+  },
+};
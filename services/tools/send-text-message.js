@@ -0,0 +1,39 @@
+/**
+ * send_text_message — SMS from the platform Twilio number.
+ */
+
+const { logActivity, validatePhone } = require('./shared');
+
+module.exports = {
+  name: 'send_text_message',
+  capability: 'sms',
+  recipients: ['to'],
+  description: 'Send an SMS text message to a phone number. Use when the customer asks to text or send a message to someone via SMS.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      to:   { type: 'string', description: 'Phone number in E.164 format (e.g. +14155551234)' },
+      body: { type: 'string', description: 'The text message to send' },
+    },
+    required: ['to', 'body'],
+  },
+  requires: ['sms'],
+  rateLimit: { bucket: 'sms', max: 20, windowMs: 15 * 60 * 1000 },
+  http: { method: 'post', path: '/sms' },
+
+  validate(input) {
+    return validatePhone(input.to);
+  },
+
+  async handler(customerId, toolInput) {
+    const twilio = require('twilio')(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    const smsFrom = process.env.TWILIO_PHONE_NUMBER;
+    const msg = await twilio.messages.create({
+      from: smsFrom,
+      to: toolInput.to,
+      body: toolInput.body,
+    });
+    logActivity(customerId, 'text_message_sent', `SMS to ${toolInput.to}: "${toolInput.body}"`);
+    return { messageSid: msg.sid, status: msg.status, to: toolInput.to };
+  },
+};
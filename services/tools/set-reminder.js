@@ -0,0 +1,48 @@
+/**
+ * set_reminder — one-off or recurring WhatsApp reminder
+ * (services/reminders.js).
+ */
+
+const { logActivity } = require('./shared');
+
+module.exports = {
+  name: 'set_reminder',
+  capability: 'reminders',
+  description: 'Set a reminder that will be sent to the customer via WhatsApp at the specified time. Use when the customer says "remind me to..." or "set a reminder for...". For repeating reminders ("every Monday", "daily until Friday") also pass a recurrence rule. Returns a reminder_id.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      message:    { type: 'string', description: 'The reminder message to send' },
+      time:       { type: 'string', description: 'When to send the (first) reminder as a local ISO datetime in the customer\'s timezone, no offset (e.g. "2026-02-20T17:00:00")' },
+      recurrence: { type: 'string', description: 'Optional RRULE for repeating reminders, e.g. "FREQ=DAILY", "FREQ=WEEKLY;BYDAY=MO", "FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH", "FREQ=MONTHLY;BYMONTHDAY=-1", "FREQ=MONTHLY;BYDAY=1MO". End a series with COUNT=n or UNTIL=YYYYMMDD.' },
+    },
+    required: ['message', 'time'],
+  },
+  rateLimit: { bucket: 'reminders', max: 30, windowMs: 15 * 60 * 1000 },
+  http: { method: 'post', path: '/reminders' },
+
+  async handler(customerId, toolInput) {
+    const { createReminder, getCustomerTimezone } = require('../reminders');
+    const { parseLocalDateTime, formatLocalTime, describeRecurrence } = require('../recurrence');
+    const tz = await getCustomerTimezone(customerId);
+    const reminderTime = parseLocalDateTime(toolInput.time, tz);
+    if (!reminderTime) throw new Error('Invalid time format');
+    const reminder = await createReminder(customerId, {
+      message: toolInput.message,
+      remindAt: reminderTime,
+      rrule: toolInput.recurrence,
+    });
+    const repeats = reminder.rrule ? describeRecurrence(reminder.rrule, tz) : null;
+    logActivity(customerId, 'reminder_scheduled', `Reminder: ${toolInput.message}${repeats ? ` (${repeats})` : ''}`,
+      { reminder_id: reminder.id, remind_at: reminderTime.toISOString(), rrule: reminder.rrule, message: toolInput.message });
+    return {
+      scheduled: true,
+      reminder_id: reminder.id,
+      time: reminderTime.toISOString(),
+      local_time: formatLocalTime(reminderTime, tz),
+      timezone: tz,
+      ...(repeats && { repeats }),
+      message: toolInput.message,
+    };
+  },
+};
@@ -0,0 +1,29 @@
+/**
+ * set_voice_replies — the customer's voice-note reply settings (assistant
+ * only).
+ */
+
+const { logActivity } = require('./shared');
+
+module.exports = {
+  name: 'set_voice_replies',
+  description: 'Change whether replies come as WhatsApp voice notes. Use when the customer says "reply with voice", "send me audio", "stop sending voice notes", etc.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      mode:      { type: 'string', enum: ['off', 'auto', 'always'], description: 'off = text only, auto = voice when they send a voice note (default), always = every reply' },
+      voice:     { type: 'string', enum: ['clone', 'female', 'male'], description: 'clone = their cloned voice if they recorded one' },
+      with_text: { type: 'boolean', description: 'Also send the text (true) or the voice note alone (false)' },
+    },
+  },
+  http: false,
+
+  async handler(customerId, toolInput) {
+    const { updateVoiceReplySettings } = require('../voice-replies');
+    const settings = await updateVoiceReplySettings(customerId, {
+      mode: toolInput.mode, voice: toolInput.voice, withText: toolInput.with_text,
+    });
+    logActivity(customerId, 'voice_reply_settings', `Voice replies: ${settings.mode} (${settings.voice})`);
+    return { mode: settings.mode, voice: settings.voice, with_text: settings.withText, has_cloned_voice: !!settings.voiceCloneId };
+  },
+};
@@ -0,0 +1,15 @@
+/**
+ * Helpers shared by the tool modules in this directory.
+ */
+
+// Activity logging lives in services/util.js, re-exported for the tools
+const { logActivity } = require('../util');
+
+// E.164, as Twilio expects
+const PHONE_PATTERN = /^\+[1-9]\d{1,14}$/;
+
+function validatePhone(to) {
+  return PHONE_PATTERN.test(to) ? null : 'Invalid phone number format. Use E.164 format (e.g. +14155551234)';
+}
+
+module.exports = { logActivity, validatePhone };
@@ -0,0 +1,50 @@
+/**
+ * snooze_reminder — push a delivered reminder back (default: the latest
+ * one).
+ */
+
+const { logActivity } = require('./shared');
+
+module.exports = {
+  name: 'snooze_reminder',
+  capability: 'reminders',
+  description: 'Send a reminder again later. Use when the customer replies "snooze", "remind me again in an hour", etc. Without a reminder_id it snoozes the reminder that was delivered most recently. Snoozing one occurrence of a repeating reminder does not change the series.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      reminder_id: { type: 'integer', description: 'Reminder to snooze (optional — defaults to the most recently delivered reminder)' },
+      minutes:     { type: 'integer', description: 'Snooze for this many minutes from now (default 10)' },
+      until:       { type: 'string', description: 'Or snooze until this local ISO datetime in the customer\'s timezone, no offset' },
+    },
+  },
+  rateLimit: { bucket: 'reminders', max: 30, windowMs: 15 * 60 * 1000 },
+  http: { method: 'post', path: '/reminders/snooze' },
+
+  async handler(customerId, toolInput) {
+    const { snoozeReminder, getLastDeliveredReminder, getCustomerTimezone, describeReminder } = require('../reminders');
+    const { parseLocalDateTime } = require('../recurrence');
+    const tz = await getCustomerTimezone(customerId);
+
+    let reminderId = toolInput.reminder_id;
+    if (!reminderId) {
+      const last = await getLastDeliveredReminder(customerId);
+      if (!last) throw new Error('No delivered reminder to snooze');
+      reminderId = last.id;
+    }
+
+    let remindAt;
+    if (toolInput.until) {
+      remindAt = parseLocalDateTime(toolInput.until, tz);
+      if (!remindAt) throw new Error('Invalid time format');
+    } else {
+      const minutes = Math.max(1, parseInt(toolInput.minutes) || 10);
+      remindAt = new Date(Date.now() + minutes * 60 * 1000);
+    }
+
+    const reminder = await snoozeReminder(customerId, reminderId, remindAt);
+    if (!reminder) throw new Error('Reminder not found or cannot be snoozed');
+    logActivity(customerId, 'reminder_snoozed', `Reminder snoozed: ${reminder.message}`,
+      { reminder_id: reminder.id, snoozed_from: reminderId, remind_at: remindAt.toISOString() });
+    return { snoozed: true, ...describeReminder(reminder, tz) };
+  },
+};
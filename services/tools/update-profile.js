@@ -0,0 +1,30 @@
+/**
+ * update_profile — change one learnable profile field (assistant only; see
+ * services/preferences.js).
+ */
+
+const { LEARNABLE_FIELDS, validateProfileUpdate, applyProfileUpdate } = require('../preferences');
+
+module.exports = {
+  name: 'update_profile',
+  description: 'Change one field of the customer\'s saved profile when they explicitly ask ("update my seat preference to aisle", "my new address is..."). For adding to a list field (a new allergy), pass the full merged value.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      field: { type: 'string', enum: Object.keys(LEARNABLE_FIELDS) },
+      value: { type: 'string', description: 'The complete new value (empty string to clear)' },
+    },
+    required: ['field', 'value'],
+  },
+  http: false,
+
+  validate(input) {
+    return validateProfileUpdate(input);
+  },
+
+  async handler(customerId, toolInput) {
+    // source is only set on updates proposed by preference learning and approved by the customer
+    const change = await applyProfileUpdate(customerId, toolInput, toolInput.source === 'suggestion' ? 'suggestion' : 'assistant');
+    return { updated: true, ...change };
+  },
+};
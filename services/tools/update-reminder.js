@@ -0,0 +1,44 @@
+/**
+ * update_reminder — change an upcoming reminder's text, time or recurrence.
+ */
+
+const { logActivity } = require('./shared');
+
+module.exports = {
+  name: 'update_reminder',
+  capability: 'reminders',
+  description: 'Change an upcoming reminder\'s message, time or recurrence. Only pass the fields that change.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      reminder_id: { type: 'integer', description: 'The reminder to change' },
+      message:     { type: 'string', description: 'New reminder message' },
+      time:        { type: 'string', description: 'New (next) time as a local ISO datetime in the customer\'s timezone, no offset' },
+      recurrence:  { type: 'string', description: 'New RRULE (same format as set_reminder), or "none" to stop it repeating' },
+    },
+    required: ['reminder_id'],
+  },
+  rateLimit: { bucket: 'reminders', max: 30, windowMs: 15 * 60 * 1000 },
+  http: { method: 'patch', path: '/reminders/:reminder_id' },
+
+  async handler(customerId, toolInput) {
+    const { updateReminder, getCustomerTimezone, describeReminder } = require('../reminders');
+    const { parseLocalDateTime } = require('../recurrence');
+    const tz = await getCustomerTimezone(customerId);
+
+    const changes = {};
+    if (toolInput.message) changes.message = toolInput.message;
+    if (toolInput.time) {
+      changes.remindAt = parseLocalDateTime(toolInput.time, tz);
+      if (!changes.remindAt) throw new Error('Invalid time format');
+    }
+    if (toolInput.recurrence) {
+      changes.rrule = /^none$/i.test(toolInput.recurrence.trim()) ? '' : toolInput.recurrence;
+    }
+
+    const reminder = await updateReminder(customerId, toolInput.reminder_id, changes);
+    if (!reminder) throw new Error('Reminder not found or no longer upcoming');
+    logActivity(customerId, 'reminder_updated', `Reminder updated: ${reminder.message}`, { reminder_id: reminder.id });
+    return { updated: true, ...describeReminder(reminder, tz) };
+  },
+};
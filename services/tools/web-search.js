@@ -0,0 +1,35 @@
+/**
+ * web_search — search results from Brave or SerpAPI.
+ */
+
+const { logActivity } = require('./shared');
+
+module.exports = {
+  name: 'web_search',
+  capability: 'web',
+  untrusted: true,
+  description: 'Search the web and return results with URLs. ALWAYS cite the URL of every result you reference.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Search query' },
+      count: { type: 'integer', description: 'Number of results (1-10, default 5)' },
+    },
+    required: ['query'],
+  },
+  requires: ['search'],
+  rateLimit: { bucket: 'search', max: 60, windowMs: 15 * 60 * 1000 },
+  http: { method: 'post', path: '/search' },
+
+  validate(input) {
+    if (!input.query.trim() || input.query.length > 500) return 'Missing or invalid search query (max 500 chars)';
+    return null;
+  },
+
+  async handler(customerId, toolInput) {
+    const { search } = require('../web-search');
+    const results = await search(toolInput.query, Math.min(toolInput.count || 5, 10));
+    logActivity(customerId, 'web_search', `Searched: "${toolInput.query}"`);
+    return { results };
+  },
+};
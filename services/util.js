@@ -0,0 +1,29 @@
+/**
+ * Small helpers shared across services.
+ */
+
+const { pool } = require('../db');
+
+// ── Activity logging (fire-and-forget) ──────────────────────────────────────
+
+function logActivity(customerId, eventType, description, metadata) {
+  pool.query(
+    'INSERT INTO activity_log (customer_id, event_type, description, metadata) VALUES ($1, $2, $3, $4)',
+    [customerId, eventType, description, metadata ? JSON.stringify(metadata) : null]
+  ).catch(err => console.error('Activity log error:', err.message));
+}
+
+// ── Text ────────────────────────────────────────────────────────────────────
+
+/**
+ * Collapse whitespace and cut to `max` characters, with an ellipsis.
+ */
+function truncate(text, max) {
+  const s = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+// Basic email format validation
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+module.exports = { logActivity, truncate, EMAIL_PATTERN };
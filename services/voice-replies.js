@@ -0,0 +1,132 @@
+/**
+ * Voice replies — sends the assistant's WhatsApp reply as a voice note.
+ *
+ * Per-customer preference (customer_profiles):
+ *   voice_reply_mode       off | auto | always — auto answers voice notes with voice
+ *   voice_reply_voice      clone | female | male — clone uses voice_clone_id when set
+ *   voice_reply_with_text  also send the text (default) or the voice note alone
+ *
+ * Audio comes from services/voice-tts.js (same provider chain as calls) and
+ * is sent as a media attachment via services/media-store.js.
+ */
+
+const { pool } = require('../db');
+
+const VOICE_REPLY_MODES = ['off', 'auto', 'always'];
+const VOICE_REPLY_VOICES = ['clone', 'female', 'male'];
+
+// Longer replies (lists, itineraries) are better read than listened to
+const MAX_SPOKEN_CHARS = 1200;
+const TTS_TIMEOUT_MS = 20 * 1000;
+
+/**
+ * @returns {{ mode, voice, withText, voiceCloneId }}
+ */
+async function getVoiceReplySettings(customerId) {
+  const result = await pool.query(
+    `SELECT voice_reply_mode, voice_reply_voice, voice_reply_with_text, voice_clone_id
+     FROM customer_profiles WHERE customer_id=$1`,
+    [customerId]
+  );
+  const row = result.rows[0] || {};
+  return {
+    mode: VOICE_REPLY_MODES.includes(row.voice_reply_mode) ? row.voice_reply_mode : 'auto',
+    voice: VOICE_REPLY_VOICES.includes(row.voice_reply_voice) ? row.voice_reply_voice : 'clone',
+    withText: row.voice_reply_with_text !== false,
+    voiceCloneId: row.voice_clone_id || null,
+  };
+}
+
+/**
+ * Check a settings update. Returns an error message, or null.
+ */
+function validateVoiceReplySettings({ mode, voice, withText } = {}) {
+  if (mode !== undefined && !VOICE_REPLY_MODES.includes(mode)) {
+    return `mode must be one of: ${VOICE_REPLY_MODES.join(', ')}`;
+  }
+  if (voice !== undefined && !VOICE_REPLY_VOICES.includes(voice)) {
+    return `voice must be one of: ${VOICE_REPLY_VOICES.join(', ')}`;
+  }
+  if (withText !== undefined && typeof withText !== 'boolean') return 'with_text must be true or false';
+  return null;
+}
+
+async function updateVoiceReplySettings(customerId, { mode, voice, withText } = {}) {
+  const error = validateVoiceReplySettings({ mode, voice, withText });
+  if (error) throw new Error(error);
+
+  // Unset fields stay NULL on a new row, which reads back as the default
+  await pool.query(
+    `INSERT INTO customer_profiles (customer_id, voice_reply_mode, voice_reply_voice, voice_reply_with_text)
+     VALUES ($4, $1, $2, $3)
+     ON CONFLICT (customer_id) DO UPDATE SET
+       voice_reply_mode      = COALESCE($1, customer_profiles.voice_reply_mode),
+       voice_reply_voice     = COALESCE($2, customer_profiles.voice_reply_voice),
+       voice_reply_with_text = COALESCE($3, customer_profiles.voice_reply_with_text),
+       updated_at            = NOW()`,
+    [mode ?? null, voice ?? null, withText ?? null, customerId]
+  );
+  return getVoiceReplySettings(customerId);
+}
+
+function wantsVoiceReply(settings, { receivedVoiceNote }) {
+  if (settings.mode === 'always') return true;
+  return settings.mode === 'auto' && receivedVoiceNote;
+}
+
+/**
+ * Make reply text speakable — drop links, markdown and emoji, which TTS
+ * reads out literally.
+ */
+function toSpeechText(text) {
+  return text
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/[*_~`#>]/g, '')
+    .replace(/\p{Extended_Pictographic}️?/gu, '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Render a reply as a voice note if the customer's preference calls for it.
+ *
+ * @param {number} customerId
+ * @param {string} replyText
+ * @param {object} context
+ * @param {boolean} context.receivedVoiceNote - The customer's message was a voice note
+ * @returns {{ attachment, withText } | null} null when text only (or TTS failed)
+ */
+async function renderVoiceReply(customerId, replyText, { receivedVoiceNote = false } = {}) {
+  const settings = await getVoiceReplySettings(customerId);
+  if (!wantsVoiceReply(settings, { receivedVoiceNote })) return null;
+
+  const speech = toSpeechText(replyText || '');
+  if (!speech || speech.length > MAX_SPOKEN_CHARS) return null;
+
+  try {
+    const { generateSpeech, getAudio } = require('./voice-tts');
+    const customVoiceId = settings.voice === 'clone' ? settings.voiceCloneId : null;
+    const gender = settings.voice === 'male' ? 'male' : 'female';
+    const audioId = await generateSpeech(speech, gender, customVoiceId, { timeoutMs: TTS_TIMEOUT_MS });
+    const audio = audioId && getAudio(audioId);
+    if (!audio) return null;
+
+    const { storeMedia } = require('./media-store');
+    const attachment = await storeMedia(customerId, {
+      buffer: audio.buffer,
+      contentType: audio.contentType,
+      filename: 'voice-reply.mp3',
+    });
+    return { attachment, withText: settings.withText };
+  } catch (err) {
+    console.error(`Voice reply failed for customer ${customerId}:`, err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  VOICE_REPLY_MODES, VOICE_REPLY_VOICES,
+  getVoiceReplySettings, validateVoiceReplySettings, updateVoiceReplySettings,
+  renderVoiceReply,
+};
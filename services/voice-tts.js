@@ -46,7 +46,7 @@ function getAudio(audioId) {
 }
 
 // ── Deepgram Aura TTS ──────────────────────────────────────────────────────
-async function generateDeepgram(text, gender) {
+async function generateDeepgram(text, gender, timeoutMs) {
   const model = VOICES.deepgram[gender] || VOICES.deepgram.female;
   const resp = await fetch(
     `https://api.deepgram.com/v1/speak?model=${model}&encoding=mp3`,
@@ -57,7 +57,7 @@ async function generateDeepgram(text, gender) {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({ text }),
-      signal: AbortSignal.timeout(4000),
+      signal: AbortSignal.timeout(timeoutMs),
     }
   );
   if (!resp.ok) throw new Error(`Deepgram TTS: ${resp.status}`);
@@ -66,7 +66,7 @@ async function generateDeepgram(text, gender) {
 }
 
 // ── OpenAI TTS ──────────────────────────────────────────────────────────────
-async function generateOpenAI(text, gender) {
+async function generateOpenAI(text, gender, timeoutMs) {
   const voice = VOICES.openai[gender] || VOICES.openai.female;
   const resp = await fetch('https://api.openai.com/v1/audio/speech', {
     method: 'POST',
@@ -81,7 +81,7 @@ async function generateOpenAI(text, gender) {
       response_format: 'mp3',
       speed: 0.95,
     }),
-    signal: AbortSignal.timeout(4000),
+    signal: AbortSignal.timeout(timeoutMs),
   });
   if (!resp.ok) throw new Error(`OpenAI TTS: ${resp.status}`);
   const buffer = Buffer.from(await resp.arrayBuffer());
@@ -89,7 +89,7 @@ async function generateOpenAI(text, gender) {
 }
 
 // ── ElevenLabs TTS ──────────────────────────────────────────────────────────
-async function generateElevenLabs(text, voiceId) {
+async function generateElevenLabs(text, voiceId, timeoutMs) {
   const resp = await fetch(
     `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`,
     {
@@ -104,7 +104,7 @@ async function generateElevenLabs(text, voiceId) {
         model_id: 'eleven_turbo_v2_5',
         voice_settings: { stability: 0.5, similarity_boost: 0.75, style: 0.3, use_speaker_boost: true },
       }),
-      signal: AbortSignal.timeout(4000),
+      signal: AbortSignal.timeout(timeoutMs),
     }
   );
   if (!resp.ok) throw new Error(`ElevenLabs TTS: ${resp.status}`);
@@ -115,12 +115,14 @@ async function generateElevenLabs(text, voiceId) {
 // ── Main TTS function ───────────────────────────────────────────────────────
 /**
  * Generate speech audio. Returns audioId if external TTS available, null for Twilio fallback.
+ * Calls need answers fast (4s per provider); pass a longer timeoutMs for
+ * WhatsApp voice replies.
  */
-async function generateSpeech(text, gender = 'female', customVoiceId = null) {
+async function generateSpeech(text, gender = 'female', customVoiceId = null, { timeoutMs = 4000 } = {}) {
   // Custom cloned voice always uses ElevenLabs
   if (customVoiceId && process.env.ELEVENLABS_API_KEY) {
     try {
-      return await generateElevenLabs(text, customVoiceId);
+      return await generateElevenLabs(text, customVoiceId, timeoutMs);
     } catch (err) {
       console.error('Custom voice TTS failed:', err.message);
     }
@@ -131,9 +133,9 @@ async function generateSpeech(text, gender = 'female', customVoiceId = null) {
 
   // Try primary provider, then fall through chain
   const chain = [];
-  if (process.env.DEEPGRAM_API_KEY) chain.push(() => generateDeepgram(text, gender));
-  if (process.env.OPENAI_API_KEY) chain.push(() => generateOpenAI(text, gender));
-  if (process.env.ELEVENLABS_API_KEY) chain.push(() => generateElevenLabs(text, VOICES.elevenlabs[gender]));
+  if (process.env.DEEPGRAM_API_KEY) chain.push(() => generateDeepgram(text, gender, timeoutMs));
+  if (process.env.OPENAI_API_KEY) chain.push(() => generateOpenAI(text, gender, timeoutMs));
+  if (process.env.ELEVENLABS_API_KEY) chain.push(() => generateElevenLabs(text, VOICES.elevenlabs[gender], timeoutMs));
 
   for (const fn of chain) {
     try {
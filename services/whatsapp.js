@@ -0,0 +1,180 @@
+/**
+ * WhatsApp sending via the Twilio REST API — text, plus media attachments
+ * served from services/media-store.js.
+ *
+ * Used by the webhook for replies and by background workers (reminders,
+ * tasks) for proactive messages to a customer. Also downloads inbound media
+ * and tracks which inbound MessageSids have been handled, so Twilio's
+ * webhook retries are ignored.
+ */
+
+const { pool } = require('../db');
+
+// WhatsApp has a 1600 char limit per message — we split a little below it
+const MAX_CHUNK_LENGTH = 1500;
+
+// WhatsApp's own cap on media size
+const MAX_MEDIA_BYTES = 16 * 1024 * 1024;
+const MEDIA_TIMEOUT_MS = 20 * 1000;
+
+// Twilio only retries within minutes; a week of sids is plenty
+const PROCESSED_RETENTION_DAYS = 7;
+const SWEEP_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+let _twilioClient = null;
+
+function getTwilioClient() {
+  if (_twilioClient) return _twilioClient;
+  const sid = process.env.TWILIO_ACCOUNT_SID;
+  const token = process.env.TWILIO_AUTH_TOKEN;
+  if (!sid || !token) throw new Error('Twilio not configured');
+  _twilioClient = require('twilio')(sid, token);
+  return _twilioClient;
+}
+
+/**
+ * Send one WhatsApp message. `from` / `to` are raw E.164 numbers. With a
+ * `mediaUrl` the body (optional) becomes the caption.
+ */
+async function sendWhatsAppMessage(from, to, body, mediaUrl) {
+  const client = getTwilioClient();
+  return client.messages.create({
+    from: `whatsapp:${from}`,
+    to: `whatsapp:${to}`,
+    ...(body && { body }),
+    ...(mediaUrl && { mediaUrl: [mediaUrl] }),
+  });
+}
+
+/**
+ * Split long text for WhatsApp — at a paragraph break, then sentence end,
+ * then word boundary.
+ */
+function splitMessage(text, maxLength = MAX_CHUNK_LENGTH) {
+  if (text.length <= maxLength) return [text];
+
+  const chunks = [];
+  let remaining = text;
+  while (remaining.length > 0) {
+    if (remaining.length <= maxLength) {
+      chunks.push(remaining);
+      break;
+    }
+    let splitIndex = remaining.lastIndexOf('\n\n', maxLength);
+    if (splitIndex < maxLength * 0.3) splitIndex = remaining.lastIndexOf('. ', maxLength);
+    if (splitIndex < maxLength * 0.3) splitIndex = remaining.lastIndexOf(' ', maxLength);
+    if (splitIndex < maxLength * 0.3) splitIndex = maxLength;
+
+    chunks.push(remaining.slice(0, splitIndex + 1).trim());
+    remaining = remaining.slice(splitIndex + 1).trim();
+  }
+  return chunks;
+}
+
+/**
+ * Send a reply: the text (split into chunks), then each attachment as its
+ * own message — WhatsApp allows one media file per message.
+ *
+ * @param {Array<{url, contentType, filename}>} [attachments]
+ * @returns {number} Messages sent
+ */
+async function sendWhatsAppReply(from, to, body, attachments = []) {
+  const chunks = body ? splitMessage(body) : [];
+  for (const chunk of chunks) {
+    await sendWhatsAppMessage(from, to, chunk);
+  }
+  for (const file of attachments) {
+    await sendWhatsAppMessage(from, to, null, file.url);
+  }
+  return chunks.length + attachments.length;
+}
+
+/**
+ * Send a proactive message to a customer's WhatsApp (the number they last
+ * messaged us from), split into chunks if needed, plus any attachments.
+ */
+async function sendToCustomer(customerId, body, attachments = []) {
+  const result = await pool.query(
+    'SELECT whatsapp_from FROM customers WHERE id=$1',
+    [customerId]
+  );
+  const whatsappFrom = result.rows[0]?.whatsapp_from;
+  if (!whatsappFrom) throw new Error(`No WhatsApp number for customer ${customerId}`);
+
+  const fromNumber = process.env.TWILIO_WHATSAPP_NUMBER;
+  if (!fromNumber) throw new Error('TWILIO_WHATSAPP_NUMBER not configured');
+
+  await sendWhatsAppReply(fromNumber, whatsappFrom, body, attachments);
+  return whatsappFrom;
+}
+
+// ── Inbound media ───────────────────────────────────────────────────────────
+
+/**
+ * Download an inbound media file (MediaUrlN from the webhook). Twilio media
+ * URLs need the account credentials as HTTP basic auth.
+ *
+ * @returns {{ buffer: Buffer, contentType: string }}
+ */
+async function downloadMedia(url) {
+  const sid = process.env.TWILIO_ACCOUNT_SID;
+  const token = process.env.TWILIO_AUTH_TOKEN;
+  if (!sid || !token) throw new Error('Twilio not configured');
+
+  const resp = await fetch(url, {
+    headers: { Authorization: `Basic ${Buffer.from(`${sid}:${token}`).toString('base64')}` },
+    signal: AbortSignal.timeout(MEDIA_TIMEOUT_MS),
+  });
+  if (!resp.ok) throw new Error(`Media download failed: ${resp.status}`);
+
+  const declared = parseInt(resp.headers.get('content-length'));
+  if (declared > MAX_MEDIA_BYTES) throw new Error(`Media too large (${declared} bytes)`);
+
+  const buffer = Buffer.from(await resp.arrayBuffer());
+  if (buffer.length > MAX_MEDIA_BYTES) throw new Error(`Media too large (${buffer.length} bytes)`);
+  return { buffer, contentType: resp.headers.get('content-type') || 'application/octet-stream' };
+}
+
+// ── Inbound idempotency ─────────────────────────────────────────────────────
+
+/**
+ * Record an inbound MessageSid before acting on it. Returns false if it was
+ * already recorded — a redelivery that must not be processed again. The
+ * insert itself is the check, so concurrent retries can't both win.
+ */
+async function claimInboundMessage(messageSid, fromNumber) {
+  if (!messageSid) return true;
+  const result = await pool.query(
+    `INSERT INTO processed_whatsapp_messages (message_sid, from_number)
+     VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING message_sid`,
+    [messageSid, fromNumber]
+  );
+  return result.rows.length > 0;
+}
+
+async function sweepProcessedMessages() {
+  try {
+    const result = await pool.query(
+      `DELETE FROM processed_whatsapp_messages WHERE processed_at < NOW() - INTERVAL '${PROCESSED_RETENTION_DAYS} days'`
+    );
+    if (result.rowCount) console.log(`🧹 Removed ${result.rowCount} processed WhatsApp message ids`);
+  } catch (err) {
+    console.error('Processed message sweep error:', err.message);
+  }
+}
+
+let sweepTimer = null;
+
+/**
+ * Start the periodic sweep of old MessageSids. Call once after initDB().
+ */
+function startProcessedMessageSweep() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(sweepProcessedMessages, SWEEP_INTERVAL_MS);
+  sweepProcessedMessages();
+}
+
+module.exports = {
+  sendWhatsAppMessage, sendWhatsAppReply, sendToCustomer, splitMessage, downloadMedia,
+  claimInboundMessage, startProcessedMessageSweep,
+};